@@ -0,0 +1,250 @@
+/**
+ * Batch Runner - Parses and lints a list of VAST tags one after the other,
+ * optionally plays each one, and summarizes every tag as a table row
+ */
+
+// Trackers that must fire for the checklist to be met (with every Impression)
+const BATCH_CHECKLIST_EVENTS = ['start', 'firstQuartile', 'midpoint', 'thirdQuartile', 'complete'];
+
+class BatchRunner {
+  /**
+   * @param {Object} options - { maxWrapperDepth, play }
+   *   play(result) plays a parse result and resolves with the tracker log of
+   *   the playback; without it, tags are only parsed and linted
+   */
+  constructor(options = {}) {
+    this.maxWrapperDepth = options.maxWrapperDepth || 5;
+    this.play = options.play || null;
+    this.cancelled = false;
+  }
+
+  /**
+   * Run tags one after the other
+   * @param {Array} tags - { name, tag } from parseTags
+   * @param {Function} onRow - Called with (row, index) as each tag completes
+   */
+  async runAll(tags, onRow) {
+    for (const [index, entry] of tags.entries()) {
+      if (this.cancelled) return;
+      const row = await this.run(entry, index);
+      if (this.cancelled) return;
+      onRow(row, index);
+    }
+  }
+
+  /**
+   * Stop after the tag in progress (its row is dropped)
+   */
+  cancel() {
+    this.cancelled = true;
+  }
+
+  /**
+   * Parse, lint and (with a play function) play one tag
+   * @param {Object} entry - { name, tag }
+   * @param {number} index - Position in the list
+   * @returns {Object} Row ({ index, name, tag, success, error, errorCode, version, wrapperDepth, mediaCount, duration, durationSeconds, lintErrors, lintWarnings, checklist, result })
+   */
+  async run(entry, index) {
+    const row = {
+      index,
+      name: entry.name,
+      tag: entry.tag,
+      success: false,
+      error: null,
+      errorCode: null,
+      version: null,
+      wrapperDepth: null,
+      mediaCount: null,
+      duration: null,
+      durationSeconds: null,
+      lintErrors: 0,
+      lintWarnings: 0,
+      checklist: null, // { met, missing } when played
+      result: null
+    };
+
+    const parser = new VASTParser();
+    parser.maxWrapperDepth = this.maxWrapperDepth;
+    const linter = new VASTLinter(parser);
+
+    let result;
+    try {
+      result = await parser.parse(entry.tag);
+    } catch (error) {
+      row.error = error.message;
+      return row;
+    }
+    row.result = result;
+
+    // Documents received before a failure are linted too
+    const findings = linter.lint(result.responses || []);
+    row.lintErrors = findings.filter(f => f.severity === 'error').length;
+    row.lintWarnings = findings.filter(f => f.severity === 'warning').length;
+
+    if (!result.success) {
+      row.error = result.error;
+      row.errorCode = result.errorCode || null;
+      return row;
+    }
+
+    const ads = result.data.ads;
+    const linears = ads
+      .filter(ad => ad.inline)
+      .flatMap(ad => ad.inline.creatives.filter(c => c.type === 'linear'));
+
+    row.success = true;
+    row.version = result.version;
+    row.wrapperDepth = Math.max(0, ...ads.map(ad => (ad.wrapperChain || [null]).length - 1));
+    row.mediaCount = linears.reduce((total, c) => total + c.data.mediaFiles.length, 0);
+    row.duration = linears.length > 0 ? linears[0].data.duration : null;
+    row.durationSeconds = typeof MediaProbe !== 'undefined' ? MediaProbe.parseDuration(row.duration) : null;
+
+    if (this.play) {
+      const trackerLog = await this.play(result);
+      if (trackerLog) {
+        row.checklist = BatchRunner.checkTrackers(ads, trackerLog);
+      }
+    }
+
+    return row;
+  }
+
+  /**
+   * Whether every Impression and start-to-complete tracker of the played ads fired
+   * Ads that fired nothing are only checked when no ad played at all.
+   * @param {Array} ads - Parsed ads
+   * @param {Array} trackerLog - Tracker log of the playback
+   * @returns {Object} { met, missing: [label] }
+   */
+  static checkTrackers(ads, trackerLog) {
+    const fired = new Set(trackerLog.filter(entry => entry.status === 'success').map(entry => `${entry.adId} ${entry.originalURL}`));
+    const inlineAds = ads.filter(ad => ad.inline);
+    const playedAds = inlineAds.filter(ad => trackerLog.some(entry => entry.adId === ad.id));
+    const checkedAds = playedAds.length > 0 ? playedAds : inlineAds.slice(0, 1);
+    const missing = [];
+
+    if (checkedAds.length === 0) {
+      return { met: false, missing: ['No inline ad'] };
+    }
+
+    checkedAds.forEach(ad => {
+      const prefix = checkedAds.length > 1 ? `Ad ${ad.id}: ` : '';
+      const tracking = ad.inline.creatives
+        .filter(c => c.type === 'linear')
+        .flatMap(c => c.data.trackingEvents);
+
+      const expected = [
+        ['Impression', ad.inline.impressions],
+        ...BATCH_CHECKLIST_EVENTS.map(event => [event, tracking.filter(t => t.event === event).map(t => t.url)])
+      ];
+
+      expected.forEach(([label, urls]) => {
+        if (urls.length === 0) {
+          missing.push(`${prefix}${label} (none declared)`);
+        } else if (urls.some(url => !fired.has(`${ad.id} ${url}`))) {
+          missing.push(`${prefix}${label}`);
+        }
+      });
+    });
+
+    return { met: missing.length === 0, missing };
+  }
+
+  /**
+   * Read tags from a pasted list or a CSV export of a placement sheet
+   * With a header row, the tag comes from the column named like "VAST URL" or
+   * "Tag" and the name from a "Name" or "Placement" column; without one, from
+   * the first cell that holds a URL.
+   * @param {string} text - One tag per line, or CSV
+   * @returns {Array} [{ name, tag }]
+   */
+  static parseTags(text) {
+    const isTag = cell => /^(https?:)?\/\//i.test(cell);
+
+    // A plain list is not split: tag URLs often hold "," and ";"
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    if (lines.every(line => isTag(line) && !/\s/.test(line))) {
+      return lines.map(tag => ({ name: '', tag }));
+    }
+
+    const rows = BatchRunner.parseCSV(text)
+      .map(row => row.map(cell => cell.trim()))
+      .filter(row => row.some(Boolean) && !row[0].startsWith('#'));
+    if (rows.length === 0) return [];
+
+    const header = rows[0].some(isTag) ? null : rows[0].map(cell => cell.toLowerCase());
+    const tagColumn = header ? header.findIndex(cell => /vast|tag|url/.test(cell)) : -1;
+    const nameColumn = header
+      ? [/name/, /placement/, /label/, /^id$/]
+        .map(pattern => header.findIndex(cell => pattern.test(cell) && !/vast|tag|url/.test(cell)))
+        .filter(column => column !== -1)
+        .concat(-1)[0]
+      : -1;
+
+    return (header ? rows.slice(1) : rows)
+      .map(row => {
+        const tagIndex = tagColumn !== -1 ? tagColumn : row.findIndex(isTag);
+        const tag = tagIndex === -1 ? '' : row[tagIndex];
+        const name = nameColumn !== -1
+          ? row[nameColumn]
+          : row.find((cell, index) => cell && index !== tagIndex) || '';
+        return { name, tag };
+      })
+      .filter(entry => isTag(entry.tag));
+  }
+
+  /**
+   * Split CSV into rows of fields (RFC 4180 quoting)
+   * The separator is the first of tab, "," and ";" found on the first line, so
+   * tab-separated sheets and semicolon exports from Excel read too.
+   * @param {string} text - CSV
+   * @returns {Array} Rows of fields
+   */
+  static parseCSV(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const separator = ['\t', ',', ';'].find(s => firstLine.includes(s)) || ',';
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === separator) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  }
+}
+
+// Export for use in the UI
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BatchRunner;
+}
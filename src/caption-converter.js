@@ -0,0 +1,314 @@
+/**
+ * Caption Converter - Reads WebVTT, SRT and SCC closed caption files into
+ * cues and writes them back as WebVTT for <track> elements
+ *
+ * SCC (Scenarist, CEA-608 byte pairs) is decoded for pop-on, roll-up and
+ * paint-on captions; positioning and styling codes are not kept.
+ */
+
+// CEA-608 characters that differ from ASCII
+const CEA608_CHARS = {
+  0x2a: 'á', 0x5c: 'é', 0x5e: 'í', 0x5f: 'ó', 0x60: 'ú',
+  0x7b: 'ç', 0x7c: '÷', 0x7d: 'Ñ', 0x7e: 'ñ', 0x7f: '█'
+};
+
+// Special characters (0x11/0x19 followed by 0x30-0x3f)
+const CEA608_SPECIAL_CHARS = '®°½¿™¢£♪à èâêîôû';
+
+// Extended characters (0x12/0x1a and 0x13/0x1b followed by 0x20-0x3f), replacing the previous character
+const CEA608_EXTENDED_CHARS = {
+  0x12: 'ÁÉÓÚÜü‘¡*\'—©℠•“”ÀÂÇÈÊËëÎÏïÔÙùÛ«»',
+  0x13: 'ÃãÍÌìÒòÕõ{}\\^_|~ÄäÖöß¥¤│ÅåØø┌┐└┘'
+};
+
+class CaptionConverter {
+  /**
+   * Detect the format of a caption file, from its content first and its declared type second
+   * @param {string} text - File content
+   * @param {string|null} type - Declared MIME type
+   * @returns {string|null} 'vtt', 'srt', 'scc', 'ttml' or null
+   */
+  static detectFormat(text, type) {
+    const head = text.replace(/^﻿/, '').trimStart();
+    if (head.startsWith('WEBVTT')) return 'vtt';
+    if (head.startsWith('Scenarist_SCC')) return 'scc';
+    if (head.startsWith('<') && /<tt[\s>]/.test(head)) return 'ttml';
+    if (/^\d+\s*\r?\n\s*\d{1,2}:\d{2}:\d{2}[,.]\d{3}\s*-->/.test(head)) return 'srt';
+
+    const types = {
+      'text/vtt': 'vtt',
+      'text/srt': 'srt',
+      'application/x-subrip': 'srt',
+      'text/scc': 'scc',
+      'text/x-scc': 'scc',
+      'application/ttml+xml': 'ttml'
+    };
+    return types[(type || '').toLowerCase()] || null;
+  }
+
+  /**
+   * Read the cues of a caption file
+   * @param {string} text - File content
+   * @param {string} format - 'vtt', 'srt' or 'scc'
+   * @returns {Array} Cues ({ start, end, text }) in seconds
+   */
+  static parse(text, format) {
+    switch (format) {
+      case 'vtt':
+        return CaptionConverter.parseVTT(text);
+      case 'srt':
+        return CaptionConverter.parseSRT(text);
+      case 'scc':
+        return CaptionConverter.parseSCC(text);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Read WebVTT cues (NOTE, STYLE and REGION blocks are skipped)
+   */
+  static parseVTT(text) {
+    return CaptionConverter.parseTimedBlocks(text, /^((?:\d+:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{2}:\d{2}\.\d{3})/);
+  }
+
+  /**
+   * Read SRT cues
+   */
+  static parseSRT(text) {
+    return CaptionConverter.parseTimedBlocks(text, /^(\d{1,2}:\d{2}:\d{2}[,.]\d{3})\s*-->\s*(\d{1,2}:\d{2}:\d{2}[,.]\d{3})/)
+      .map(cue => ({
+        ...cue,
+        // WebVTT only knows <b>, <i> and <u>; drop <font> tags and ASS position codes
+        text: cue.text.replace(/<\/?font[^>]*>/gi, '').replace(/\{\\[^}]*\}/g, '')
+      }));
+  }
+
+  /**
+   * Read blank-line separated blocks whose timing line matches a pattern
+   * @param {string} text - File content
+   * @param {RegExp} timing - Pattern capturing the start and end timestamps
+   * @returns {Array} Cues
+   */
+  static parseTimedBlocks(text, timing) {
+    const cues = [];
+
+    text.replace(/^﻿/, '').split(/\r?\n\s*\r?\n/).forEach(block => {
+      const lines = block.split(/\r?\n/);
+      const index = lines.findIndex(line => timing.test(line.trim()));
+      if (index === -1) return;
+
+      const match = timing.exec(lines[index].trim());
+      const cueText = lines.slice(index + 1).join('\n').trim();
+      if (cueText) {
+        cues.push({
+          start: CaptionConverter.parseTimestamp(match[1]),
+          end: CaptionConverter.parseTimestamp(match[2]),
+          text: cueText
+        });
+      }
+    });
+
+    return cues;
+  }
+
+  /**
+   * Parse HH:MM:SS.mmm, MM:SS.mmm or HH:MM:SS,mmm into seconds
+   */
+  static parseTimestamp(value) {
+    const parts = value.replace(',', '.').split(':').map(parseFloat);
+    return parts.reduce((total, part) => total * 60 + part, 0);
+  }
+
+  /**
+   * Decode SCC byte pairs into cues
+   * @param {string} text - SCC file content
+   * @returns {Array} Cues
+   */
+  static parseSCC(text) {
+    const cues = [];
+    const fps = 30000 / 1001;
+    let mode = 'pop-on';
+    let rollUpRows = 2;
+    let displayed = [''];
+    let nonDisplayed = [''];
+    let current = null; // Cue on screen
+    let previousControl = null;
+    let time = 0;
+
+    // The caption on screen changed: close the previous cue and open the next one
+    const show = (rows, at) => {
+      const cueText = rows.map(row => row.trim()).filter(Boolean).join('\n');
+      if (current && current.text === cueText) return;
+      if (current && at > current.start) {
+        current.end = at;
+        cues.push(current);
+      }
+      current = cueText ? { start: at, end: null, text: cueText } : null;
+    };
+
+    const memory = () => (mode === 'pop-on' ? nonDisplayed : displayed);
+    const write = (chars) => {
+      const rows = memory();
+      rows[rows.length - 1] += chars;
+    };
+
+    text.split(/\r?\n/).forEach(line => {
+      const match = /^(\d{2}):(\d{2}):(\d{2})([:;.,])(\d{2})\s+(.*)$/.exec(line.trim());
+      if (!match) return;
+
+      const lineTime = CaptionConverter.parseSMPTE(match, fps);
+      const words = match[6].trim().split(/\s+/);
+
+      words.forEach((word, pairIndex) => {
+        // Each byte pair takes one frame
+        time = lineTime + pairIndex / fps;
+        const b1 = parseInt(word.substring(0, 2), 16) & 0x7f;
+        const b2 = parseInt(word.substring(2, 4), 16) & 0x7f;
+        if (isNaN(b1) || isNaN(b2) || (b1 === 0 && b2 === 0)) return;
+
+        if (b1 >= 0x10 && b1 <= 0x1f) {
+          // Control codes are sent twice; the repeat is ignored
+          if (previousControl === word) {
+            previousControl = null;
+            return;
+          }
+          previousControl = word;
+
+          const channel = b1 & 0x17; // Both caption channels decode the same way
+
+          if ((channel === 0x14 || channel === 0x15) && b2 >= 0x20 && b2 <= 0x2f) {
+            switch (b2) {
+              case 0x20: // RCL: resume caption loading
+                mode = 'pop-on';
+                break;
+              case 0x25: // RU2, RU3, RU4: roll-up
+              case 0x26:
+              case 0x27:
+                mode = 'roll-up';
+                rollUpRows = b2 - 0x23;
+                break;
+              case 0x29: // RDC: resume direct captioning
+                mode = 'paint-on';
+                break;
+              case 0x21: { // BS: backspace
+                const rows = memory();
+                rows[rows.length - 1] = rows[rows.length - 1].slice(0, -1);
+                break;
+              }
+              case 0x24: // DER: delete to end of row
+                break;
+              case 0x2c: // EDM: erase displayed memory
+                displayed = [''];
+                show(displayed, time);
+                break;
+              case 0x2d: // CR: roll the rows up
+                if (mode === 'roll-up') {
+                  displayed.push('');
+                  displayed = displayed.slice(-rollUpRows);
+                }
+                break;
+              case 0x2e: // ENM: erase non-displayed memory
+                nonDisplayed = [''];
+                break;
+              case 0x2f: // EOC: end of caption, swap memories
+                displayed = nonDisplayed;
+                nonDisplayed = [''];
+                show(displayed, time);
+                break;
+            }
+          } else if ((channel === 0x11) && b2 >= 0x30 && b2 <= 0x3f) {
+            write(CEA608_SPECIAL_CHARS[b2 - 0x30]);
+          } else if ((channel === 0x11) && b2 >= 0x20 && b2 <= 0x2f) {
+            write(' '); // Mid-row style codes display as a space
+          } else if ((channel === 0x12 || channel === 0x13) && b2 >= 0x20 && b2 <= 0x3f) {
+            const rows = memory();
+            rows[rows.length - 1] = rows[rows.length - 1].slice(0, -1) + CEA608_EXTENDED_CHARS[channel][b2 - 0x20];
+          } else if (b2 >= 0x40) {
+            // Preamble address code: text continues on a new row
+            const rows = memory();
+            if (rows[rows.length - 1].trim() && mode !== 'roll-up') {
+              rows.push('');
+            }
+          }
+          return;
+        }
+
+        previousControl = null;
+        write([b1, b2].filter(b => b >= 0x20).map(b => CEA608_CHARS[b] || String.fromCharCode(b)).join(''));
+      });
+
+      // Roll-up and paint-on captions appear as they are written
+      if (mode !== 'pop-on') {
+        show(displayed, time);
+      }
+    });
+
+    // A caption still on screen at the end of the file
+    if (current) {
+      current.end = Math.max(time, current.start + 3);
+      cues.push(current);
+    }
+
+    return cues;
+  }
+
+  /**
+   * Convert an SCC timecode (HH:MM:SS:FF, or HH:MM:SS;FF drop-frame) into seconds
+   * @param {Array} match - Timecode match (hours, minutes, seconds, separator, frames)
+   * @param {number} fps - Frame rate
+   */
+  static parseSMPTE(match, fps) {
+    const [hours, minutes, seconds, , frames] = match.slice(1, 6).map(n => (isNaN(n) ? n : parseInt(n)));
+    let frameCount = ((hours * 3600) + (minutes * 60) + seconds) * 30 + frames;
+
+    // Drop-frame timecode skips frame numbers 0 and 1 every minute except every tenth
+    if (match[4] === ';' || match[4] === ',') {
+      const totalMinutes = hours * 60 + minutes;
+      frameCount -= 2 * (totalMinutes - Math.floor(totalMinutes / 10));
+    }
+
+    return frameCount / fps;
+  }
+
+  /**
+   * Write cues as a WebVTT file
+   * @param {Array} cues - Cues ({ start, end, text })
+   * @returns {string}
+   */
+  static toWebVTT(cues) {
+    const body = cues.map(cue =>
+      `${CaptionConverter.formatTimestamp(cue.start)} --> ${CaptionConverter.formatTimestamp(cue.end)}\n${CaptionConverter.escapeCueText(cue.text)}`
+    ).join('\n\n');
+    return `WEBVTT\n\n${body}\n`;
+  }
+
+  /**
+   * Escape cue text for WebVTT, where "<" opens a tag and "&" an entity
+   * The <b>, <i> and <u> tags SRT allows are kept.
+   * @param {string} text - Cue text
+   * @returns {string}
+   */
+  static escapeCueText(text) {
+    return text
+      .split(/(<\/?[biu]>)/i)
+      .map((part, index) => index % 2 === 1
+        ? part.toLowerCase()
+        : part.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'))
+      .join('');
+  }
+
+  /**
+   * Format seconds as a WebVTT timestamp (HH:MM:SS.mmm)
+   */
+  static formatTimestamp(seconds) {
+    const ms = Math.round(seconds * 1000);
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+  }
+}
+
+// Export for use in video player
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CaptionConverter;
+}
@@ -0,0 +1,71 @@
+/**
+ * Extension Recognizer - Pulls the known fields out of common <Extension>
+ * types (ad server geo data, waterfall position, custom tracking, ...)
+ */
+
+const EXTENSION_RECOGNIZERS = [
+  {
+    // Google Ad Manager: country and bandwidth of the request
+    name: 'Geo (Google Ad Manager)',
+    matches: (type) => type === 'geo',
+    fields: (element, text) => [
+      { label: 'Country', value: text('Country') },
+      { label: 'Bandwidth', value: text('Bandwidth') },
+      { label: 'Bandwidth (kbps)', value: text('BandwidthKbps') }
+    ]
+  },
+  {
+    // Google Ad Manager: position of the ad in the fallback waterfall
+    name: 'Waterfall (Google Ad Manager)',
+    matches: (type) => type === 'waterfall',
+    fields: (element) => [
+      { label: 'Fallback index', value: element.getAttribute('fallback_index') }
+    ]
+  },
+  {
+    // VAST 3 OMID verification carried in an extension
+    name: 'AdVerifications (VAST 3 extension)',
+    matches: (type) => type === 'AdVerifications',
+    fields: (element) => Array.from(element.querySelectorAll('Verification')).map((verification, index) => ({
+      label: `Vendor ${index + 1}`,
+      value: verification.getAttribute('vendor') || '(no vendor)'
+    }))
+  },
+  {
+    // Active View, ShowAdTracking and similar: <CustomTracking><Tracking event="...">
+    name: 'Custom tracking',
+    matches: (type, element) => element.querySelector('CustomTracking > Tracking') !== null,
+    fields: (element) => Array.from(element.querySelectorAll('CustomTracking > Tracking')).map(tracking => ({
+      label: tracking.getAttribute('event') || '(no event)',
+      value: tracking.textContent.trim()
+    }))
+  }
+];
+
+class ExtensionRecognizer {
+  /**
+   * Recognize a known extension type and extract its fields
+   * @param {Element} element - Extension element
+   * @returns {Object|null} { name, fields: [{ label, value }] }, or null if the type is unknown
+   */
+  static recognize(element) {
+    const type = element.getAttribute('type') || '';
+    const recognizer = EXTENSION_RECOGNIZERS.find(r => r.matches(type, element));
+    if (!recognizer) return null;
+
+    const text = (tagName) => {
+      const child = element.querySelector(tagName);
+      return child ? child.textContent.trim() : null;
+    };
+
+    return {
+      name: recognizer.name,
+      fields: recognizer.fields(element, text).filter(field => field.value)
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ExtensionRecognizer, EXTENSION_RECOGNIZERS };
+}
@@ -0,0 +1,167 @@
+/**
+ * History Store - Keeps every test run in IndexedDB (input, raw responses,
+ * parsed model, event log and tracker log) so it survives a reload
+ */
+
+const HISTORY_DB_NAME = 'vast-inspector';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'runs';
+
+class HistoryStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * Whether the browser has IndexedDB (private modes and file:// may not)
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open the database, creating the runs store on first use
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('createdAt', 'createdAt');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('History database is blocked by another tab'));
+      });
+
+      // A failed open is retried on the next call
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run one request in a transaction on the runs store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Called with the store, returns an IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  async request(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(HISTORY_STORE, mode);
+      const request = operation(transaction.objectStore(HISTORY_STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || new Error('History transaction aborted'));
+    });
+  }
+
+  /**
+   * Save a run (a run with an id replaces the stored one)
+   * @param {Object} run - Run record
+   * @returns {Promise<number>} Run id
+   */
+  save(run) {
+    return this.request('readwrite', store => store.put(run));
+  }
+
+  /**
+   * Load a run
+   * @param {number} id - Run id
+   * @returns {Promise<Object|undefined>}
+   */
+  get(id) {
+    return this.request('readonly', store => store.get(id));
+  }
+
+  /**
+   * Delete a run
+   * @param {number} id - Run id
+   */
+  delete(id) {
+    return this.request('readwrite', store => store.delete(id));
+  }
+
+  /**
+   * List run summaries, newest first
+   * The logs and responses are left out: the sidebar only needs the summary.
+   * @returns {Promise<Array>} Summaries ({ id, createdAt, inputMode, input, deviceProfile, success, error, version, title, adCount, eventCount, trackerCount })
+   */
+  async list() {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const summaries = [];
+      const transaction = db.transaction(HISTORY_STORE, 'readonly');
+      const request = transaction.objectStore(HISTORY_STORE).index('createdAt').openCursor(null, 'prev');
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        summaries.push(HistoryStore.summarize(cursor.value));
+        cursor.continue();
+      };
+      transaction.oncomplete = () => resolve(summaries);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Summary of a run record for the history list
+   */
+  static summarize(run) {
+    return {
+      id: run.id,
+      createdAt: run.createdAt,
+      inputMode: run.inputMode,
+      input: run.input,
+      deviceProfile: run.deviceProfile,
+      success: run.success,
+      error: run.error,
+      version: run.version,
+      title: run.title,
+      adCount: run.adCount,
+      eventCount: run.eventLog.length,
+      trackerCount: run.trackerLog.length
+    };
+  }
+
+  /**
+   * Whether a run summary matches a search query (input, title, version or error)
+   * @param {Object} summary - Run summary
+   * @param {string} query - Search text
+   * @returns {boolean}
+   */
+  static matches(summary, query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return true;
+    return [summary.input, summary.title, summary.version ? `VAST ${summary.version}` : '', summary.error]
+      .some(value => (value || '').toLowerCase().includes(needle));
+  }
+
+  /**
+   * Storage used by this origin against its quota
+   * @returns {Promise<Object|null>} { usage, quota } in bytes, or null when the browser does not tell
+   */
+  async estimate() {
+    if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+      return null;
+    }
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      return { usage: usage || 0, quota: quota || 0 };
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Export for use in the UI
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HistoryStore;
+}
@@ -0,0 +1,193 @@
+/**
+ * Media Probe - Loads the metadata of each MediaFile off-screen and compares
+ * the real asset with its declared Duration, width, height and bitrate
+ */
+
+const DURATION_TOLERANCE = 1; // Seconds between <Duration> and the file before it is a mismatch
+const BITRATE_TOLERANCE = 0.25; // Relative difference between declared and estimated bitrate
+
+class MediaProbe {
+  /**
+   * @param {Object} options - { timeoutMs }
+   */
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs || 15000;
+    this.cancelled = false;
+  }
+
+  /**
+   * Probe media files one after the other
+   * @param {Array} targets - { mediaFile, duration } with the Linear <Duration> of each file
+   * @param {Function} onResult - Called with (result, index) as each probe completes
+   */
+  async probeAll(targets, onResult) {
+    for (const [index, target] of targets.entries()) {
+      if (this.cancelled) return;
+      const result = await this.probe(target.mediaFile, target.duration);
+      if (this.cancelled) return;
+      onResult(result, index);
+    }
+  }
+
+  /**
+   * Stop probing (results still in flight are dropped)
+   */
+  cancel() {
+    this.cancelled = true;
+  }
+
+  /**
+   * Probe one media file
+   * @param {Object} mediaFile - Parsed media file
+   * @param {string|null} declaredDuration - Linear <Duration>
+   * @returns {Object} { status, actual: { duration, width, height, bytes, bitrate }, findings: [{ severity, message }] }
+   */
+  async probe(mediaFile, declaredDuration) {
+    const result = {
+      status: 'ok', // ok, unreachable or skipped
+      actual: { duration: null, width: null, height: null, bytes: null, bitrate: null },
+      findings: []
+    };
+    const add = (severity, message) => result.findings.push({ severity, message });
+
+    // Interactive and streaming files have no single video file to measure
+    const streaming = typeof StreamLoader !== 'undefined' && StreamLoader.getProtocol(mediaFile);
+    if (mediaFile.isInteractive || mediaFile.isVPAID || streaming) {
+      const reachable = await this.checkReachable(mediaFile.url);
+      if (reachable === false) {
+        result.status = 'unreachable';
+        add('error', 'URL is unreachable');
+      } else {
+        result.status = 'skipped';
+        add('info', streaming ? 'Streaming manifest: metadata is not probed' : 'Interactive creative file: metadata is not probed');
+      }
+      return result;
+    }
+
+    const [metadata, bytes] = await Promise.all([this.loadMetadata(mediaFile.url), this.fetchContentLength(mediaFile.url)]);
+
+    if (metadata.error) {
+      result.status = 'unreachable';
+      add('error', metadata.error);
+      return result;
+    }
+
+    const actual = result.actual;
+    actual.duration = metadata.duration;
+    actual.width = metadata.width || null;
+    actual.height = metadata.height || null;
+    actual.bytes = bytes;
+    if (bytes && metadata.duration) {
+      actual.bitrate = Math.round(bytes * 8 / metadata.duration / 1000);
+    }
+
+    // Duration: the most common reason tags get rejected
+    const declared = MediaProbe.parseDuration(declaredDuration);
+    if (declared === null) {
+      add('warning', `<Duration> "${declaredDuration || ''}" cannot be compared (expected HH:MM:SS or HH:MM:SS.mmm)`);
+    } else if (isFinite(actual.duration) && Math.abs(actual.duration - declared) > DURATION_TOLERANCE) {
+      add('error', `Duration is ${actual.duration.toFixed(2)}s but <Duration> declares ${declared.toFixed(2)}s`);
+    }
+
+    // Intrinsic size
+    const width = parseInt(mediaFile.width);
+    const height = parseInt(mediaFile.height);
+    if (!actual.width || !actual.height) {
+      add('warning', 'File has no video track (no intrinsic size)');
+    } else if ((width && width !== actual.width) || (height && height !== actual.height)) {
+      add('warning', `Video is ${actual.width}x${actual.height} but declared ${mediaFile.width || '?'}x${mediaFile.height || '?'}`);
+    }
+
+    // Bitrate (needs Content-Length, which cross-origin servers often do not expose)
+    const bitrate = parseInt(mediaFile.bitrate);
+    if (!actual.bitrate) {
+      add('info', 'Bitrate not estimated: Content-Length is not available');
+    } else if (bitrate && Math.abs(actual.bitrate - bitrate) / bitrate > BITRATE_TOLERANCE) {
+      add('warning', `Estimated bitrate is ${actual.bitrate}kbps but declared ${bitrate}kbps`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Read duration and intrinsic size with an off-screen video element
+   * @param {string} url - Media file URL
+   * @returns {Promise<Object>} { duration, width, height } or { error }
+   */
+  loadMetadata(url) {
+    return new Promise(resolve => {
+      const video = document.createElement('video');
+      video.preload = 'metadata';
+      video.muted = true;
+
+      const finish = (result) => {
+        clearTimeout(timer);
+        video.removeAttribute('src');
+        video.load(); // Abort the download
+        resolve(result);
+      };
+      const timer = setTimeout(() => finish({ error: `Metadata did not load within ${this.timeoutMs / 1000}s` }), this.timeoutMs);
+
+      video.addEventListener('loadedmetadata', () => finish({
+        duration: video.duration,
+        width: video.videoWidth,
+        height: video.videoHeight
+      }), { once: true });
+      video.addEventListener('error', () => {
+        const codes = { 2: 'Network error: URL is unreachable', 3: 'File could not be decoded', 4: 'URL is unreachable or the format is not supported' };
+        finish({ error: codes[video.error && video.error.code] || 'File could not be loaded' });
+      }, { once: true });
+
+      video.src = url;
+    });
+  }
+
+  /**
+   * Size of a media file from a HEAD request
+   * @param {string} url - Media file URL
+   * @returns {Promise<number|null>} Bytes, or null when not exposed
+   */
+  async fetchContentLength(url) {
+    try {
+      const response = await fetch(url, { method: 'HEAD' });
+      const length = response.ok ? parseInt(response.headers.get('Content-Length')) : NaN;
+      return length > 0 ? length : null;
+    } catch (error) {
+      return null; // CORS or network failure: the metadata probe reports reachability
+    }
+  }
+
+  /**
+   * Whether a URL answers (for files whose metadata is not probed)
+   * @param {string} url - URL
+   * @returns {Promise<boolean|null>} null when CORS hides the answer
+   */
+  async checkReachable(url) {
+    try {
+      const response = await fetch(url, { method: 'HEAD' });
+      return response.ok || response.status === 405; // Some servers refuse HEAD
+    } catch (error) {
+      try {
+        await fetch(url, { method: 'HEAD', mode: 'no-cors' });
+        return null; // Answered, but cross-origin
+      } catch (networkError) {
+        return false;
+      }
+    }
+  }
+
+  /**
+   * Parse a VAST <Duration> (HH:MM:SS or HH:MM:SS.mmm) into seconds
+   * @returns {number|null}
+   */
+  static parseDuration(value) {
+    const match = /^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/.exec((value || '').trim());
+    if (!match) return null;
+    return parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseFloat(match[3]);
+  }
+}
+
+// Export for use in the UI
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MediaProbe;
+}
@@ -0,0 +1,160 @@
+/**
+ * Media Selector - Ranks the MediaFiles of a Linear creative for a device
+ * profile the way player SDKs do: drop what the device cannot play, then
+ * score resolution fit, bitrate against the bandwidth cap, MIME type
+ * preference and delivery
+ */
+
+const DEVICE_PROFILES = {
+  desktop: {
+    name: 'Desktop web',
+    width: null, // null: the rendered player size
+    height: null,
+    maxBitrate: 5000, // kbps
+    mimeTypes: ['video/mp4', 'video/webm', 'application/x-mpegURL', 'application/vnd.apple.mpegurl', 'application/dash+xml', 'video/ogg'],
+    preferStreaming: false
+  },
+  mobile: {
+    name: 'Mobile web',
+    width: 640,
+    height: 360,
+    maxBitrate: 1500,
+    mimeTypes: ['video/mp4', 'application/x-mpegURL', 'application/vnd.apple.mpegurl', 'video/webm'],
+    preferStreaming: false
+  },
+  ctv: {
+    name: 'CTV 1080p',
+    width: 1920,
+    height: 1080,
+    maxBitrate: 15000,
+    mimeTypes: ['application/x-mpegURL', 'application/vnd.apple.mpegurl', 'video/mp4', 'application/dash+xml'],
+    preferStreaming: true
+  },
+  lowBandwidth: {
+    name: 'Low bandwidth',
+    width: 640,
+    height: 360,
+    maxBitrate: 600,
+    mimeTypes: ['video/mp4', 'application/x-mpegURL', 'application/vnd.apple.mpegurl', 'video/webm', 'application/dash+xml'],
+    preferStreaming: true
+  }
+};
+
+class MediaSelector {
+  /**
+   * @param {Object} profile - Device profile (see DEVICE_PROFILES)
+   * @param {Object} options - { canPlayType(type), canStream(mediaFile), playerSize: { width, height } }
+   */
+  constructor(profile, options = {}) {
+    this.profile = profile;
+    this.canPlayType = options.canPlayType || (() => 'maybe');
+    this.canStream = options.canStream || (() => false);
+
+    // Profiles without a fixed resolution target the player as rendered
+    const size = options.playerSize || {};
+    this.target = {
+      width: profile.width || Math.round(size.width) || 1280,
+      height: profile.height || Math.round(size.height) || 720
+    };
+  }
+
+  /**
+   * Score every media file, best first
+   * Ineligible files are listed last with the reason they were dropped.
+   * @param {Array} mediaFiles - Parsed media files
+   * @returns {Array} Rankings ({ mediaFile, eligible, score, reasons: [{ points, text }] })
+   */
+  rank(mediaFiles) {
+    const rankings = mediaFiles.map(mediaFile => this.score(mediaFile));
+
+    // Array.prototype.sort is stable: ties keep document order
+    return rankings.sort((a, b) => (b.eligible - a.eligible) || (b.score - a.score));
+  }
+
+  /**
+   * Score one media file
+   * @param {Object} mediaFile - Parsed media file
+   * @returns {Object} Ranking
+   */
+  score(mediaFile) {
+    const ranking = { mediaFile, eligible: true, score: 100, reasons: [] };
+    const add = (points, text) => {
+      ranking.score += points;
+      ranking.reasons.push({ points, text });
+    };
+    const drop = (text) => {
+      ranking.eligible = false;
+      ranking.reasons.push({ points: null, text });
+    };
+
+    const type = mediaFile.type || '';
+    const protocol = typeof StreamLoader !== 'undefined' ? StreamLoader.getProtocol(mediaFile) : null;
+
+    // 1. Device and browser support
+    if (mediaFile.isInteractive) {
+      drop('InteractiveCreativeFile, not a video rendition');
+      return ranking;
+    }
+    if (mediaFile.isVPAID) {
+      drop('VPAID is not supported');
+      return ranking;
+    }
+
+    const preference = this.profile.mimeTypes.findIndex(t => t.toLowerCase() === type.toLowerCase());
+    if (preference === -1) {
+      drop(`${type || 'No type'} is not supported by the ${this.profile.name} profile`);
+      return ranking;
+    }
+    if (protocol ? !this.canStream(mediaFile) : !this.canPlayType(type)) {
+      drop(`This browser cannot play ${type}`);
+      return ranking;
+    }
+
+    if (preference > 0) {
+      add(-5 * preference, `${type} is MIME preference #${preference + 1} for ${this.profile.name}`);
+    }
+
+    // 2. Delivery
+    if (protocol && this.profile.preferStreaming) {
+      add(10, 'Adaptive streaming is preferred by the profile');
+    } else if (protocol) {
+      add(-5, 'Progressive download is preferred by the profile');
+    }
+
+    // 3. Resolution fit: the scale needed to fill the target
+    const width = parseInt(mediaFile.width);
+    const height = parseInt(mediaFile.height);
+    const target = `${this.target.width}x${this.target.height}`;
+    if (!width || !height) {
+      add(-15, 'No declared width/height');
+    } else {
+      const scale = Math.min(this.target.width / width, this.target.height / height);
+      if (scale > 1.05) {
+        add(-Math.min(40, Math.round((scale - 1) * 30)), `${width}x${height} is upscaled ${scale.toFixed(2)}x to fill ${target}`);
+      } else if (scale < 0.95) {
+        add(-Math.min(20, Math.round((1 / scale - 1) * 10)), `${width}x${height} is larger than the ${target} target (bandwidth spent on pixels that are not shown)`);
+      } else {
+        add(0, `${width}x${height} matches the ${target} target`);
+      }
+    }
+
+    // 4. Bitrate against the bandwidth cap (adaptive streams can drop to their minBitrate)
+    const bitrate = parseInt(protocol ? (mediaFile.minBitrate || mediaFile.bitrate) : mediaFile.bitrate);
+    const cap = this.profile.maxBitrate;
+    if (!bitrate) {
+      add(-5, 'No declared bitrate');
+    } else if (bitrate > cap) {
+      // Still playable: SDKs fall back to the lowest bitrate when every file is over the cap
+      add(-(40 + Math.min(30, Math.round((bitrate / cap - 1) * 20))), `${bitrate}kbps exceeds the ${cap}kbps bandwidth cap`);
+    } else {
+      add(Math.round(bitrate / cap * 15), `${bitrate}kbps fits the ${cap}kbps bandwidth cap`);
+    }
+
+    return ranking;
+  }
+}
+
+// Export for use in video player
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MediaSelector, DEVICE_PROFILES };
+}
@@ -0,0 +1,88 @@
+/**
+ * Permalink - Serializes the test input (tag URL or XML, input mode, device
+ * profile, wrapper depth and macro overrides) into the URL fragment so a link
+ * reproduces the test without a server
+ *
+ * The state is JSON, deflated with CompressionStream where the browser has it
+ * and base64url encoded: "#z=..." is compressed, "#j=..." is plain.
+ */
+
+const PERMALINK_VERSION = 1;
+
+class Permalink {
+  /**
+   * Build the fragment for a state
+   * @param {Object} state - { mode, input, deviceProfile, maxWrapperDepth, macroOverrides }
+   * @returns {Promise<string>} Fragment without the leading "#"
+   */
+  static async encode(state) {
+    const json = JSON.stringify({ v: PERMALINK_VERSION, ...state });
+    const bytes = new TextEncoder().encode(json);
+
+    if (typeof CompressionStream !== 'undefined') {
+      const compressed = await Permalink.transform(bytes, new CompressionStream('deflate-raw'));
+      return `z=${Permalink.toBase64URL(compressed)}`;
+    }
+    return `j=${Permalink.toBase64URL(bytes)}`;
+  }
+
+  /**
+   * Read the state from a fragment
+   * @param {string} hash - location.hash (with or without "#")
+   * @returns {Promise<Object|null>} State, or null when the fragment is not a permalink
+   * @throws {Error} When the fragment is a permalink that cannot be read
+   */
+  static async decode(hash) {
+    const match = /^#?([zj])=([A-Za-z0-9_-]+)$/.exec(hash || '');
+    if (!match) return null;
+
+    let bytes = Permalink.fromBase64URL(match[2]);
+    if (match[1] === 'z') {
+      if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot decompress the link (no DecompressionStream)');
+      }
+      bytes = await Permalink.transform(bytes, new DecompressionStream('deflate-raw'));
+    }
+
+    const state = JSON.parse(new TextDecoder().decode(bytes));
+    if (!state || state.v !== PERMALINK_VERSION || typeof state.input !== 'string') {
+      throw new Error('The link was made by an incompatible version of the inspector');
+    }
+    return state;
+  }
+
+  /**
+   * Run bytes through a compression or decompression stream
+   * @param {Uint8Array} bytes - Input
+   * @param {CompressionStream|DecompressionStream} stream - Transform
+   * @returns {Promise<Uint8Array>}
+   */
+  static async transform(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+  }
+
+  /**
+   * Base64url without padding (safe in a fragment)
+   */
+  static toBase64URL(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Decode base64url (padding optional)
+   */
+  static fromBase64URL(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+  }
+}
+
+// Export for use in the UI
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Permalink;
+}
@@ -0,0 +1,106 @@
+/**
+ * Resource Renderer - Displays the StaticResource, IFrameResource and
+ * HTMLResource of NonLinear, Companion and Icon creatives
+ *
+ * HTML and script resources run in a sandboxed iframe without same-origin
+ * access, so creative code cannot reach the inspector.
+ */
+
+class ResourceRenderer {
+  /**
+   * Pick the resource to display: StaticResource, then IFrameResource, then HTMLResource
+   * @param {Array} resources - Parsed resources ({ type, content, creativeType })
+   * @returns {Object|null} Resource to display, or null if none is supported
+   */
+  static select(resources) {
+    for (const type of ['static', 'iframe', 'html']) {
+      const resource = (resources || []).find(r => r.type === type && ResourceRenderer.isSupported(r));
+      if (resource) return resource;
+    }
+    return null;
+  }
+
+  /**
+   * Whether a resource can be displayed
+   * @param {Object} resource - Parsed resource
+   * @returns {boolean}
+   */
+  static isSupported(resource) {
+    if (resource.type !== 'static') return true;
+    return ResourceRenderer.isImage(resource) || ResourceRenderer.isScript(resource);
+  }
+
+  /**
+   * StaticResource images (VAST 2 resources often omit creativeType)
+   */
+  static isImage(resource) {
+    const creativeType = (resource.creativeType || '').toLowerCase();
+    return !creativeType || creativeType.startsWith('image/');
+  }
+
+  /**
+   * StaticResource scripts
+   */
+  static isScript(resource) {
+    const creativeType = (resource.creativeType || '').toLowerCase();
+    return creativeType === 'application/javascript' || creativeType === 'application/x-javascript' || creativeType === 'text/javascript';
+  }
+
+  /**
+   * Short description of a resource for the event log
+   * @param {Object} resource - Parsed resource
+   * @returns {string}
+   */
+  static describe(resource) {
+    const labels = { static: 'StaticResource', iframe: 'IFrameResource', html: 'HTMLResource' };
+    const creativeType = resource.creativeType ? ` ${resource.creativeType}` : '';
+    const content = resource.type === 'html' ? `${resource.content.length} characters` : resource.content.substring(0, 60);
+    return `${labels[resource.type]}${creativeType} (${content})`;
+  }
+
+  /**
+   * Create the element displaying a resource
+   * @param {Object} resource - Parsed resource
+   * @param {Object} options - { width, height, title, onError }
+   * @returns {HTMLElement}
+   */
+  static render(resource, options = {}) {
+    let element;
+
+    if (resource.type === 'static' && ResourceRenderer.isImage(resource)) {
+      element = document.createElement('img');
+      element.alt = options.title || '';
+      element.src = resource.content;
+    } else {
+      element = document.createElement('iframe');
+      element.setAttribute('sandbox', 'allow-scripts allow-popups allow-popups-to-escape-sandbox');
+      element.setAttribute('scrolling', 'no');
+      element.title = options.title || 'Ad resource';
+
+      if (resource.type === 'iframe') {
+        element.src = resource.content;
+      } else {
+        const body = resource.type === 'html'
+          ? resource.content
+          : `<script src="${resource.content.replace(/"/g, '&quot;')}"></script>`;
+        element.srcdoc = `<!DOCTYPE html><html><head><style>html,body{margin:0;padding:0;overflow:hidden}</style></head><body>${body}</body></html>`;
+      }
+    }
+
+    element.className = 'ad-resource';
+    if (options.width) element.width = options.width;
+    if (options.height) element.height = options.height;
+
+    // Only images report load failures; iframes load error pages silently
+    if (options.onError) {
+      element.addEventListener('error', options.onError, { once: true });
+    }
+
+    return element;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ResourceRenderer;
+}
@@ -0,0 +1,214 @@
+/**
+ * Session Exporter - Writes a test run (parsed VAST, tracker log and event
+ * log) as JSON, as a CSV of tracker hits or as a HAR 1.2 archive that opens
+ * in browser devtools and proxies next to the ad server requests
+ */
+
+const EXPORT_CREATOR = { name: 'VAST Inspector', version: '1.0.0' };
+
+const CSV_COLUMNS = ['type', 'event', 'ad_id', 'status', 'url', 'fired_at', 'video_time', 'error_code', 'error'];
+
+const BATCH_CSV_COLUMNS = ['name', 'tag', 'status', 'error_code', 'error', 'version', 'wrapper_depth', 'media_count', 'duration', 'lint_errors', 'lint_warnings', 'tracker_checklist', 'missing_trackers'];
+
+class SessionExporter {
+  /**
+   * Everything about the run: input, raw responses, parsed VAST and both logs
+   * @param {Object} run - Run record ({ input, inputMode, deviceProfile, success, error, errorCode, responses, result, eventLog, trackerLog })
+   * @returns {string} JSON
+   */
+  static toJSON(run) {
+    const session = {
+      creator: EXPORT_CREATOR,
+      exportedAt: new Date().toISOString(),
+      startedAt: run.createdAt,
+      input: {
+        mode: run.inputMode,
+        value: run.input,
+        deviceProfile: run.deviceProfile,
+        macroOverrides: run.macroOverrides || {}
+      },
+      vast: run.success
+        ? {
+          version: run.result.version,
+          xmlAutoFixed: !!run.result.xmlAutoFixed,
+          ads: run.result.data.ads,
+          tracking: run.result.tracking
+        }
+        : { error: run.error, errorCode: run.errorCode },
+      responses: run.responses,
+      trackerLog: run.trackerLog,
+      eventLog: run.eventLog
+    };
+    return JSON.stringify(session, null, 2);
+  }
+
+  /**
+   * One row per tracker hit
+   * @param {Object} run - Run record
+   * @returns {string} CSV (RFC 4180, CRLF line endings)
+   */
+  static toCSV(run) {
+    const rows = run.trackerLog.map(entry => [
+      entry.type,
+      entry.event,
+      entry.adId,
+      entry.status,
+      entry.url,
+      entry.timestamp,
+      entry.videoTime,
+      entry.errorCode,
+      entry.error
+    ]);
+    return [CSV_COLUMNS, ...rows].map(row => row.map(SessionExporter.csvField).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * One row per tag of a batch run
+   * @param {Array} rows - BatchRunner rows, in the order to write them
+   * @returns {string} CSV (RFC 4180, CRLF line endings)
+   */
+  static toBatchCSV(rows) {
+    const lines = rows.map(row => [
+      row.name,
+      row.tag,
+      row.success ? 'ok' : 'failed',
+      row.errorCode,
+      row.error,
+      row.version,
+      row.wrapperDepth,
+      row.mediaCount,
+      row.duration,
+      row.lintErrors,
+      row.lintWarnings,
+      row.checklist ? (row.checklist.met ? 'met' : 'not met') : 'not played',
+      row.checklist ? row.checklist.missing.join('; ') : null
+    ]);
+    return [BATCH_CSV_COLUMNS, ...lines].map(line => line.map(SessionExporter.csvField).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Quote a CSV field when it holds a separator, quote or line break
+   */
+  static csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Ad server requests and tracker hits as a HAR 1.2 archive
+   * Pixels are sent by beacon or image, so their response is not readable:
+   * they are written with status 0 like devtools does for opaque requests.
+   * @param {Object} run - Run record
+   * @returns {string} HAR JSON
+   */
+  static toHAR(run) {
+    const pageId = 'page_1';
+
+    // Pasted XML was never requested
+    const vastEntries = run.responses.filter(response => response.url).map(response => ({
+      pageref: pageId,
+      startedDateTime: response.requestedAt || run.createdAt,
+      time: response.latency || 0,
+      request: SessionExporter.harRequest(response.url),
+      response: {
+        status: 200,
+        statusText: 'OK',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: [],
+        content: { size: response.xml.length, mimeType: 'application/xml', text: response.xml },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: response.xml.length
+      },
+      cache: {},
+      timings: { send: 0, wait: response.latency || 0, receive: 0 },
+      comment: response.depth === 0 ? 'VAST tag' : `Wrapper hop ${response.depth}`
+    }));
+
+    const trackerEntries = run.trackerLog.map(entry => {
+      const harEntry = {
+        pageref: pageId,
+        startedDateTime: entry.timestamp,
+        time: 0,
+        request: SessionExporter.harRequest(entry.url),
+        response: {
+          status: 0,
+          statusText: '',
+          httpVersion: '',
+          cookies: [],
+          headers: [],
+          content: { size: 0, mimeType: 'x-unknown' },
+          redirectURL: '',
+          headersSize: -1,
+          bodySize: -1
+        },
+        cache: {},
+        timings: { send: 0, wait: 0, receive: 0 },
+        comment: [entry.type, entry.event, entry.adId ? `ad ${entry.adId}` : null, entry.videoTime ? `at ${entry.videoTime}` : null]
+          .filter(Boolean).join(' ')
+      };
+      if (entry.status !== 'success') {
+        harEntry._error = entry.error || 'Not sent';
+      }
+      return harEntry;
+    });
+
+    const entries = [...vastEntries, ...trackerEntries]
+      .sort((a, b) => new Date(a.startedDateTime) - new Date(b.startedDateTime));
+
+    return JSON.stringify({
+      log: {
+        version: '1.2',
+        creator: EXPORT_CREATOR,
+        pages: [{
+          startedDateTime: run.createdAt,
+          id: pageId,
+          title: `VAST test: ${run.inputMode === 'url' ? run.input : 'pasted XML'}`,
+          pageTimings: {}
+        }],
+        entries
+      }
+    }, null, 2);
+  }
+
+  /**
+   * HAR request of a GET without headers
+   * @param {string} url - Requested URL
+   */
+  static harRequest(url) {
+    let queryString = [];
+    try {
+      queryString = Array.from(new URL(url).searchParams, ([name, value]) => ({ name, value }));
+    } catch (error) {
+      // Relative or malformed URL: no query string
+    }
+
+    return {
+      method: 'GET',
+      url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: [],
+      queryString,
+      headersSize: -1,
+      bodySize: 0
+    };
+  }
+
+  /**
+   * File name for an export (vast-session-20250101-120000.json)
+   * @param {string} startedAt - ISO date of the run
+   * @param {string} extension - File extension
+   * @param {string} prefix - Kind of file
+   */
+  static fileName(startedAt, extension, prefix = 'vast-session') {
+    const stamp = (startedAt || new Date().toISOString()).replace(/\.\d+Z$/, '').replace(/[-:]/g, '').replace('T', '-');
+    return `${prefix}-${stamp}.${extension}`;
+  }
+}
+
+// Export for use in the UI
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SessionExporter;
+}
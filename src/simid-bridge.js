@@ -14,6 +14,7 @@ class SIMIDBridge {
     this.creative = null; // Reference to SIMID creative window
     this.sessionId = this.generateSessionId();
     this.isInitialized = false;
+    this.onFatal = null; // Set by the player to report Session.fatal as a VAST error
 
     // SIMID protocol version
     this.protocolVersion = '1.1';
@@ -209,6 +210,10 @@ class SIMIDBridge {
   handleFatal(message) {
     console.error('[SIMID Bridge] Creative fatal error:', message.args);
     this.sendResolve(message.messageId, {});
+
+    if (this.onFatal) {
+      this.onFatal(message.args);
+    }
   }
 
   /**
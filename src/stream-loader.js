@@ -0,0 +1,806 @@
+/**
+ * Stream Loader - Plays streaming MediaFiles (HLS and DASH) through Media
+ * Source Extensions, switching renditions with the measured bandwidth
+ *
+ * Supported: VOD HLS playlists with fragmented MP4 segments (EXT-X-MAP) and
+ * static DASH manifests using SegmentTemplate, SegmentList or a single
+ * BaseURL per Representation. HLS with MPEG-TS segments is handed to the
+ * browser when it plays HLS natively (Safari), since MSE cannot play TS
+ * without transmuxing.
+ */
+
+const STREAMING_TYPES = {
+  'application/x-mpegurl': 'hls',
+  'application/vnd.apple.mpegurl': 'hls',
+  'audio/mpegurl': 'hls',
+  'application/dash+xml': 'dash'
+};
+
+const DEFAULT_CODECS = 'avc1.42E01E,mp4a.40.2';
+const MAX_BUFFER_AHEAD = 30; // Seconds buffered ahead of the playhead
+const BANDWIDTH_SAFETY = 0.8; // Share of the estimated bandwidth a rendition may use
+
+class StreamLoader {
+  /**
+   * @param {HTMLVideoElement} video - Video element to attach the stream to
+   * @param {Object} options - { onEvent(type, message), onError(VASTError) }
+   */
+  constructor(video, options = {}) {
+    this.video = video;
+    this.onEvent = options.onEvent || (() => {});
+    this.onError = options.onError || (() => {});
+    this.protocol = null;
+    this.mediaSource = null;
+    this.objectURL = null;
+    this.tracks = [];
+    this.bandwidthEstimate = StreamLoader.initialBandwidth(); // bits per second
+    this.halted = false; // A SourceBuffer failed; the media element reports the error
+    this.destroyed = false;
+  }
+
+  /**
+   * Streaming protocol of a media file, from its MIME type or URL
+   * @param {Object} mediaFile - Parsed media file
+   * @returns {string|null} 'hls', 'dash' or null for progressive files
+   */
+  static getProtocol(mediaFile) {
+    const type = (mediaFile.type || '').toLowerCase();
+    if (STREAMING_TYPES[type]) return STREAMING_TYPES[type];
+
+    const path = (mediaFile.url || '').split(/[?#]/)[0].toLowerCase();
+    if (path.endsWith('.m3u8')) return 'hls';
+    if (path.endsWith('.mpd')) return 'dash';
+    return null;
+  }
+
+  /**
+   * Whether Media Source Extensions are available
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof MediaSource !== 'undefined' && typeof MediaSource.isTypeSupported === 'function';
+  }
+
+  /**
+   * Whether a streaming media file can be played in this browser
+   * @param {Object} mediaFile - Parsed media file
+   * @param {HTMLVideoElement} video - Video element
+   * @returns {boolean}
+   */
+  static canPlay(mediaFile, video) {
+    const protocol = StreamLoader.getProtocol(mediaFile);
+    if (!protocol) return false;
+    return StreamLoader.isSupported() || (protocol === 'hls' && !!video.canPlayType('application/vnd.apple.mpegurl'));
+  }
+
+  /**
+   * Starting bandwidth estimate, from the Network Information API when available
+   */
+  static initialBandwidth() {
+    const connection = typeof navigator !== 'undefined' ? navigator.connection : null;
+    return connection && connection.downlink ? connection.downlink * 1000000 : 1500000;
+  }
+
+  /**
+   * Load a manifest and start playback
+   * @param {string} url - Manifest URL
+   * @param {string} protocol - 'hls' or 'dash'
+   */
+  async load(url, protocol) {
+    this.protocol = protocol;
+
+    try {
+      const manifest = protocol === 'hls' ? await this.loadHLS(url) : await this.loadDASH(url);
+      if (this.destroyed) return;
+
+      if (manifest.native) {
+        this.onEvent('stream-manifest', 'HLS stream uses MPEG-TS segments, playing it with the browser\'s native HLS support');
+        this.video.src = url;
+        return;
+      }
+
+      await this.attach(manifest);
+    } catch (error) {
+      if (this.destroyed) return;
+      this.halted = true;
+      this.onError(error instanceof VASTError ? error : new VASTError(405, `Stream playback failed: ${error.message}`));
+    }
+  }
+
+  /**
+   * Stop loading and release the MediaSource
+   */
+  destroy() {
+    this.destroyed = true;
+
+    if (this.objectURL) {
+      URL.revokeObjectURL(this.objectURL);
+      this.objectURL = null;
+    }
+    this.mediaSource = null;
+    this.tracks = [];
+  }
+
+  /**
+   * HLS
+   */
+
+  /**
+   * Load an HLS master or media playlist
+   * @param {string} url - Playlist URL
+   * @returns {Object} Manifest { duration, tracks } or { native: true }
+   */
+  async loadHLS(url) {
+    const text = await this.fetchText(url, 'HLS playlist');
+    if (!text.trim().startsWith('#EXTM3U')) {
+      throw new VASTError(405, 'HLS playlist does not start with #EXTM3U');
+    }
+
+    const master = StreamLoader.parseMasterPlaylist(text, url);
+    const video = { kind: 'video', renditions: master.variants };
+    const tracks = [video];
+
+    if (master.audio) {
+      tracks.push({ kind: 'audio', renditions: [master.audio] });
+    }
+
+    // A media playlist given directly is its own single variant
+    if (video.renditions.length === 0) {
+      video.renditions.push({ id: '1', bandwidth: 0, width: null, height: null, codecs: DEFAULT_CODECS, mimeType: 'video/mp4', playlistURL: url, playlist: text });
+    }
+
+    // The first playlist tells whether segments are fMP4 or MPEG-TS
+    const first = video.renditions[0];
+    await this.loadMediaPlaylist(first);
+    if (!first.initSegment) {
+      if (this.video.canPlayType('application/vnd.apple.mpegurl')) {
+        return { native: true };
+      }
+      throw new VASTError(403, 'HLS stream uses MPEG-TS segments, which need transmuxing this player does not do');
+    }
+
+    const variants = video.renditions.map(r => StreamLoader.describeRendition(r)).join(', ');
+    this.onEvent('stream-manifest', `HLS playlist with ${video.renditions.length} variant${video.renditions.length === 1 ? '' : 's'}: ${variants}`);
+
+    return { duration: first.duration, tracks };
+  }
+
+  /**
+   * Parse the variants and default audio rendition of a master playlist
+   * @param {string} text - Playlist text
+   * @param {string} baseURL - Playlist URL, to resolve relative URIs
+   * @returns {Object} { variants, audio }
+   */
+  static parseMasterPlaylist(text, baseURL) {
+    const lines = text.split(/\r?\n/).map(line => line.trim());
+    const variants = [];
+    const audioGroups = {};
+
+    lines.forEach((line, index) => {
+      if (line.startsWith('#EXT-X-MEDIA:')) {
+        const attrs = StreamLoader.parseAttributes(line);
+        if (attrs.TYPE === 'AUDIO' && attrs.URI) {
+          const group = audioGroups[attrs['GROUP-ID']] || (audioGroups[attrs['GROUP-ID']] = []);
+          group.push({
+            id: attrs.NAME || attrs.LANGUAGE || attrs['GROUP-ID'],
+            language: attrs.LANGUAGE || null,
+            isDefault: attrs.DEFAULT === 'YES',
+            bandwidth: 0,
+            mimeType: 'audio/mp4',
+            playlistURL: new URL(attrs.URI, baseURL).href
+          });
+        }
+      } else if (line.startsWith('#EXT-X-STREAM-INF:')) {
+        const attrs = StreamLoader.parseAttributes(line);
+        const uri = lines.slice(index + 1).find(next => next && !next.startsWith('#'));
+        if (!uri) return;
+
+        const [width, height] = (attrs.RESOLUTION || '').split('x').map(n => parseInt(n) || null);
+        variants.push({
+          id: String(variants.length + 1),
+          bandwidth: parseInt(attrs['AVERAGE-BANDWIDTH'] || attrs.BANDWIDTH) || 0,
+          width: width || null,
+          height: height || null,
+          codecs: attrs.CODECS || DEFAULT_CODECS,
+          audioGroup: attrs.AUDIO || null,
+          mimeType: 'video/mp4',
+          playlistURL: new URL(uri, baseURL).href
+        });
+      }
+    });
+
+    // Demuxed audio: the variants carry video only and the group's default rendition is added
+    let audio = null;
+    const audioGroup = variants.length > 0 && variants[0].audioGroup ? audioGroups[variants[0].audioGroup] : null;
+    if (audioGroup) {
+      audio = { ...(audioGroup.find(r => r.isDefault) || audioGroup[0]) };
+      const codecs = StreamLoader.splitCodecs(variants[0].codecs);
+      audio.codecs = codecs.audio || 'mp4a.40.2';
+      variants.forEach(variant => {
+        variant.codecs = StreamLoader.splitCodecs(variant.codecs).video || variant.codecs;
+      });
+    }
+
+    return { variants, audio };
+  }
+
+  /**
+   * Load and parse the media playlist of a rendition (once)
+   * @param {Object} rendition - Variant or audio rendition
+   */
+  async loadMediaPlaylist(rendition) {
+    if (rendition.segments) return;
+
+    const text = rendition.playlist || await this.fetchText(rendition.playlistURL, 'HLS media playlist');
+    Object.assign(rendition, StreamLoader.parseMediaPlaylist(text, rendition.playlistURL));
+  }
+
+  /**
+   * Parse the segments of a media playlist
+   * @param {string} text - Playlist text
+   * @param {string} baseURL - Playlist URL, to resolve relative URIs
+   * @returns {Object} { initSegment, segments, duration }
+   */
+  static parseMediaPlaylist(text, baseURL) {
+    const segments = [];
+    let initSegment = null;
+    let duration = null;
+    let range = null;
+    let start = 0;
+    let ended = false;
+
+    text.split(/\r?\n/).map(line => line.trim()).forEach(line => {
+      if (line.startsWith('#EXT-X-MAP:')) {
+        const attrs = StreamLoader.parseAttributes(line);
+        initSegment = {
+          url: new URL(attrs.URI, baseURL).href,
+          range: attrs.BYTERANGE ? StreamLoader.parseByteRange(attrs.BYTERANGE, 0) : null
+        };
+      } else if (line.startsWith('#EXT-X-KEY:')) {
+        const attrs = StreamLoader.parseAttributes(line);
+        if (attrs.METHOD && attrs.METHOD !== 'NONE') {
+          throw new VASTError(405, `Encrypted HLS segments (METHOD=${attrs.METHOD}) are not supported`);
+        }
+      } else if (line.startsWith('#EXTINF:')) {
+        duration = parseFloat(line.substring(8)) || 0;
+      } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+        const previous = segments[segments.length - 1];
+        range = StreamLoader.parseByteRange(line.substring(17), previous && previous.range ? previous.range.end + 1 : 0);
+      } else if (line === '#EXT-X-ENDLIST') {
+        ended = true;
+      } else if (line && !line.startsWith('#') && duration !== null) {
+        segments.push({ url: new URL(line, baseURL).href, range, start, duration });
+        start += duration;
+        duration = null;
+        range = null;
+      }
+    });
+
+    if (!ended) {
+      throw new VASTError(405, 'Live HLS playlists (no #EXT-X-ENDLIST) are not supported');
+    }
+
+    return { initSegment, segments, duration: start };
+  }
+
+  /**
+   * Parse an HLS attribute list (KEY=value,KEY="quoted, value")
+   * @param {string} line - Tag line
+   * @returns {Object}
+   */
+  static parseAttributes(line) {
+    const attrs = {};
+    const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    let match;
+    while ((match = pattern.exec(line.substring(line.indexOf(':') + 1))) !== null) {
+      attrs[match[1]] = match[2].replace(/^"|"$/g, '');
+    }
+    return attrs;
+  }
+
+  /**
+   * Parse an HLS byte range (length[@offset])
+   * @param {string} value - Byte range
+   * @param {number} defaultOffset - Offset when none is given (end of the previous range)
+   * @returns {Object} { start, end } inclusive
+   */
+  static parseByteRange(value, defaultOffset) {
+    const [length, offset] = value.split('@').map(n => parseInt(n));
+    const start = isNaN(offset) ? defaultOffset : offset;
+    return { start, end: start + length - 1 };
+  }
+
+  /**
+   * Split a CODECS list into its video and audio codecs
+   * @param {string} codecs - Comma separated codecs
+   * @returns {Object} { video, audio }
+   */
+  static splitCodecs(codecs) {
+    const list = codecs.split(',').map(c => c.trim()).filter(Boolean);
+    const isAudio = (codec) => /^(mp4a|ac-3|ec-3|opus|flac)/i.test(codec);
+    return {
+      video: list.filter(c => !isAudio(c)).join(',') || null,
+      audio: list.filter(isAudio).join(',') || null
+    };
+  }
+
+  /**
+   * DASH
+   */
+
+  /**
+   * Load a DASH manifest
+   * @param {string} url - MPD URL
+   * @returns {Object} Manifest { duration, tracks }
+   */
+  async loadDASH(url) {
+    const text = await this.fetchText(url, 'DASH manifest');
+    const manifest = StreamLoader.parseMPD(text, url);
+
+    const video = manifest.tracks.find(t => t.kind === 'video');
+    const representations = video.renditions.map(r => StreamLoader.describeRendition(r)).join(', ');
+    this.onEvent('stream-manifest', `DASH manifest with ${video.renditions.length} video Representation${video.renditions.length === 1 ? '' : 's'}: ${representations}`);
+
+    return manifest;
+  }
+
+  /**
+   * Parse the first Period of a static MPD into a video track and an optional audio track
+   * @param {string} text - MPD XML
+   * @param {string} url - MPD URL, to resolve BaseURLs
+   * @returns {Object} { duration, tracks }
+   */
+  static parseMPD(text, url) {
+    const doc = new DOMParser().parseFromString(text, 'text/xml');
+    const mpd = doc.documentElement;
+    if (!mpd || mpd.nodeName !== 'MPD') {
+      throw new VASTError(405, 'DASH manifest has no <MPD> root element');
+    }
+    if (mpd.getAttribute('type') === 'dynamic') {
+      throw new VASTError(405, 'Live DASH manifests (type="dynamic") are not supported');
+    }
+
+    const period = StreamLoader.children(mpd, 'Period')[0];
+    if (!period) {
+      throw new VASTError(405, 'DASH manifest has no <Period>');
+    }
+
+    const duration = StreamLoader.parseDuration(period.getAttribute('duration')) ||
+      StreamLoader.parseDuration(mpd.getAttribute('mediaPresentationDuration'));
+    const periodBase = StreamLoader.resolveBaseURL(period, StreamLoader.resolveBaseURL(mpd, url));
+    const tracks = [];
+
+    StreamLoader.children(period, 'AdaptationSet').forEach(set => {
+      const firstRepresentation = StreamLoader.children(set, 'Representation')[0];
+      const mimeType = set.getAttribute('mimeType') || (firstRepresentation && firstRepresentation.getAttribute('mimeType')) || '';
+      const kind = set.getAttribute('contentType') || mimeType.split('/')[0];
+
+      // One video and one audio track; text and further sets are ignored
+      if ((kind !== 'video' && kind !== 'audio') || tracks.some(t => t.kind === kind)) return;
+
+      const setBase = StreamLoader.resolveBaseURL(set, periodBase);
+      const renditions = StreamLoader.children(set, 'Representation').map(representation => {
+        const attr = (name) => representation.getAttribute(name) || set.getAttribute(name);
+        const rendition = {
+          id: representation.getAttribute('id') || '',
+          bandwidth: parseInt(representation.getAttribute('bandwidth')) || 0,
+          width: parseInt(attr('width')) || null,
+          height: parseInt(attr('height')) || null,
+          codecs: attr('codecs') || (kind === 'audio' ? 'mp4a.40.2' : 'avc1.42E01E'),
+          mimeType: attr('mimeType') || `${kind}/mp4`,
+          language: set.getAttribute('lang') || null
+        };
+
+        const base = StreamLoader.resolveBaseURL(representation, setBase);
+        const levels = [representation, set, period];
+        return Object.assign(rendition, StreamLoader.buildDASHSegments(rendition, levels, base, duration));
+      });
+
+      tracks.push({ kind, renditions });
+    });
+
+    if (!tracks.some(t => t.kind === 'video')) {
+      throw new VASTError(403, 'DASH manifest has no video AdaptationSet');
+    }
+
+    return { duration, tracks };
+  }
+
+  /**
+   * Build the segment list of a Representation from the closest
+   * SegmentTemplate or SegmentList, or play its BaseURL as one segment
+   * @param {Object} rendition - Parsed Representation
+   * @param {Array} levels - Representation, AdaptationSet and Period elements
+   * @param {string} base - Resolved BaseURL of the Representation
+   * @param {number|null} periodDuration - Period duration in seconds
+   * @returns {Object} { initSegment, segments }
+   */
+  static buildDASHSegments(rendition, levels, base, periodDuration) {
+    const templates = levels.map(level => StreamLoader.children(level, 'SegmentTemplate')[0]).filter(Boolean);
+    const lists = levels.map(level => StreamLoader.children(level, 'SegmentList')[0]).filter(Boolean);
+
+    if (templates.length > 0) {
+      // Attributes not set on the closest template are inherited from the outer ones
+      const attr = (name) => {
+        const element = templates.find(t => t.hasAttribute(name));
+        return element ? element.getAttribute(name) : null;
+      };
+      const timeline = templates.map(t => StreamLoader.children(t, 'SegmentTimeline')[0]).find(Boolean);
+      const timescale = parseInt(attr('timescale')) || 1;
+      const startNumber = attr('startNumber') !== null ? parseInt(attr('startNumber')) : 1;
+      const fill = (template, number, time) => new URL(StreamLoader.fillTemplate(template, rendition, number, time), base).href;
+
+      const segments = [];
+      if (timeline) {
+        let time = 0;
+        const entries = StreamLoader.children(timeline, 'S');
+        entries.forEach((s, index) => {
+          time = s.hasAttribute('t') ? parseInt(s.getAttribute('t')) : time;
+          const d = parseInt(s.getAttribute('d'));
+          let repeat = parseInt(s.getAttribute('r')) || 0;
+
+          // r="-1" repeats until the next S or the end of the Period
+          if (repeat < 0) {
+            const next = entries[index + 1];
+            const end = next && next.hasAttribute('t') ? parseInt(next.getAttribute('t')) : (periodDuration || 0) * timescale;
+            repeat = Math.max(0, Math.ceil((end - time) / d) - 1);
+          }
+
+          for (let i = 0; i <= repeat; i++) {
+            segments.push({ url: fill(attr('media'), startNumber + segments.length, time), range: null, start: time / timescale, duration: d / timescale });
+            time += d;
+          }
+        });
+      } else {
+        const segmentDuration = parseInt(attr('duration')) / timescale;
+        if (!segmentDuration || !periodDuration) {
+          throw new VASTError(405, `Representation ${rendition.id} has a SegmentTemplate without a SegmentTimeline or duration`);
+        }
+        const count = Math.ceil(periodDuration / segmentDuration - 0.001);
+        for (let i = 0; i < count; i++) {
+          segments.push({ url: fill(attr('media'), startNumber + i, null), range: null, start: i * segmentDuration, duration: Math.min(segmentDuration, periodDuration - i * segmentDuration) });
+        }
+      }
+
+      const init = attr('initialization');
+      return { initSegment: init ? { url: fill(init, null, null), range: null } : null, segments };
+    }
+
+    if (lists.length > 0) {
+      const list = lists[0];
+      const timescale = parseInt(list.getAttribute('timescale')) || 1;
+      const segmentDuration = (parseInt(list.getAttribute('duration')) || 0) / timescale;
+      const initialization = StreamLoader.children(list, 'Initialization')[0];
+      const segments = StreamLoader.children(list, 'SegmentURL').map((segmentURL, index) => ({
+        url: new URL(segmentURL.getAttribute('media') || '', base).href,
+        range: StreamLoader.parseRange(segmentURL.getAttribute('mediaRange')),
+        start: index * segmentDuration,
+        duration: segmentDuration
+      }));
+
+      return {
+        initSegment: initialization ? {
+          url: new URL(initialization.getAttribute('sourceURL') || '', base).href,
+          range: StreamLoader.parseRange(initialization.getAttribute('range'))
+        } : null,
+        segments
+      };
+    }
+
+    // SegmentBase or no segment information: the whole file is one segment
+    return { initSegment: null, segments: [{ url: base, range: null, start: 0, duration: periodDuration || 0 }] };
+  }
+
+  /**
+   * Substitute $RepresentationID$, $Number$, $Bandwidth$ and $Time$ (with %0Nd widths)
+   */
+  static fillTemplate(template, rendition, number, time) {
+    const values = { RepresentationID: rendition.id, Number: number, Bandwidth: rendition.bandwidth, Time: time };
+    return template.replace(/\$(RepresentationID|Number|Bandwidth|Time)(?:%0(\d+)d)?\$/g, (match, name, width) => {
+      const value = String(values[name]);
+      return width ? value.padStart(parseInt(width), '0') : value;
+    }).replace(/\$\$/g, '$');
+  }
+
+  /**
+   * Resolve the BaseURL child of an element against its parent's base
+   */
+  static resolveBaseURL(element, parentBase) {
+    const baseURL = StreamLoader.children(element, 'BaseURL')[0];
+    return baseURL ? new URL(baseURL.textContent.trim(), parentBase).href : parentBase;
+  }
+
+  /**
+   * Parse an ISO 8601 duration (PT1M30.5S) into seconds
+   * @returns {number|null}
+   */
+  static parseDuration(value) {
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?)?$/.exec(value || '');
+    if (!match) return null;
+    const [, days, hours, minutes, seconds] = match.map(n => parseFloat(n) || 0);
+    return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+  }
+
+  /**
+   * Parse a DASH byte range (start-end)
+   */
+  static parseRange(value) {
+    if (!value) return null;
+    const [start, end] = value.split('-').map(n => parseInt(n));
+    return { start, end };
+  }
+
+  /**
+   * Direct children of an element with a tag name
+   */
+  static children(element, tagName) {
+    return Array.from(element.children).filter(child => child.localName === tagName);
+  }
+
+  /**
+   * Media Source Extensions
+   */
+
+  /**
+   * Attach a MediaSource to the video and load every track
+   * @param {Object} manifest - { duration, tracks }
+   */
+  attach(manifest) {
+    if (!StreamLoader.isSupported()) {
+      throw new VASTError(403, 'Media Source Extensions are not available in this browser');
+    }
+
+    // Keep the renditions whose codecs this browser can decode
+    manifest.tracks.forEach(track => {
+      const unsupported = track.renditions.filter(r => !MediaSource.isTypeSupported(StreamLoader.contentType(r)));
+      unsupported.forEach(r => {
+        this.onEvent('warning', `Stream ${track.kind} rendition ${StreamLoader.describeRendition(r)} skipped: ${StreamLoader.contentType(r)} is not supported`);
+      });
+      track.renditions = track.renditions.filter(r => !unsupported.includes(r)).sort((a, b) => a.bandwidth - b.bandwidth);
+    });
+
+    const video = manifest.tracks.find(t => t.kind === 'video');
+    if (!video || video.renditions.length === 0) {
+      throw new VASTError(403, 'No stream rendition has a codec this browser supports');
+    }
+    this.tracks = manifest.tracks.filter(t => t.renditions.length > 0);
+
+    return new Promise((resolve, reject) => {
+      this.mediaSource = new MediaSource();
+      this.objectURL = URL.createObjectURL(this.mediaSource);
+      this.mediaSource.addEventListener('sourceopen', () => {
+        this.startTracks(manifest.duration).then(resolve, reject);
+      }, { once: true });
+      this.video.src = this.objectURL;
+    });
+  }
+
+  /**
+   * Create a SourceBuffer per track and load segments until the end of the stream
+   * @param {number|null} duration - Stream duration in seconds
+   */
+  async startTracks(duration) {
+    if (this.destroyed) return;
+
+    if (duration) {
+      this.mediaSource.duration = duration;
+    }
+
+    for (const track of this.tracks) {
+      track.rendition = null;
+      track.index = 0;
+      track.bufferedUntil = 0;
+      const rendition = this.chooseRendition(track);
+      if (this.protocol === 'hls') {
+        await this.loadMediaPlaylist(rendition);
+      }
+      track.sourceBuffer = this.mediaSource.addSourceBuffer(StreamLoader.contentType(rendition));
+      track.sourceBuffer.addEventListener('error', () => {
+        this.halted = true;
+      });
+    }
+
+    await Promise.all(this.tracks.map(track => this.pump(track)));
+
+    if (!this.destroyed && !this.halted && this.mediaSource.readyState === 'open') {
+      this.mediaSource.endOfStream();
+    }
+  }
+
+  /**
+   * Load the segments of a track in order, switching renditions between segments
+   * @param {Object} track - Video or audio track
+   */
+  async pump(track) {
+    while (!this.destroyed && !this.halted) {
+      const rendition = this.chooseRendition(track);
+      if (rendition !== track.rendition) {
+        await this.switchRendition(track, rendition);
+        if (this.destroyed || this.halted) return;
+      }
+
+      const segment = track.rendition.segments[track.index];
+      if (!segment) return;
+
+      await this.waitForBufferRoom(segment.start);
+      if (this.destroyed || this.halted) return;
+
+      await this.append(track, await this.fetchSegment(segment, track.kind === 'video'));
+      track.bufferedUntil = segment.start + segment.duration;
+      track.index++;
+    }
+  }
+
+  /**
+   * Pick the rendition of a track for the next segment: the highest bitrate
+   * the bandwidth estimate allows, capped at the player size
+   * @param {Object} track - Video or audio track
+   * @returns {Object} Rendition
+   */
+  chooseRendition(track) {
+    const renditions = track.renditions;
+    if (track.kind !== 'video' || renditions.length === 1) {
+      return track.rendition || renditions[renditions.length - 1];
+    }
+
+    // No point in more pixels than the player shows
+    const ratio = typeof window !== 'undefined' && window.devicePixelRatio ? window.devicePixelRatio : 1;
+    const maxHeight = (this.video.clientHeight || 0) * ratio;
+    const fitting = maxHeight > 0
+      ? renditions.filter((r, index) => !r.height || r.height <= maxHeight || index === 0)
+      : renditions;
+
+    const affordable = fitting.filter(r => r.bandwidth <= this.bandwidthEstimate * BANDWIDTH_SAFETY);
+    return affordable.length > 0 ? affordable[affordable.length - 1] : fitting[0];
+  }
+
+  /**
+   * Switch a track to another rendition: append its init segment and carry
+   * on from the segment covering the buffered end
+   * @param {Object} track - Video or audio track
+   * @param {Object} rendition - New rendition
+   */
+  async switchRendition(track, rendition) {
+    const previous = track.rendition;
+    if (this.protocol === 'hls') {
+      await this.loadMediaPlaylist(rendition);
+    }
+
+    const contentType = StreamLoader.contentType(rendition);
+    if (previous && StreamLoader.contentType(previous) !== contentType && typeof track.sourceBuffer.changeType === 'function') {
+      track.sourceBuffer.changeType(contentType);
+    }
+
+    track.rendition = rendition;
+    const next = rendition.segments.findIndex(s => s.start + s.duration > track.bufferedUntil + 0.01);
+    track.index = next === -1 ? rendition.segments.length : next;
+
+    const label = this.protocol === 'hls' ? (track.kind === 'video' ? 'variant' : 'audio rendition') : `${track.kind} Representation`;
+    const estimate = `bandwidth estimate ${StreamLoader.formatBitrate(this.bandwidthEstimate)}`;
+    const message = previous
+      ? `Switched ${label} ${rendition.bandwidth >= previous.bandwidth ? 'up' : 'down'} from ${StreamLoader.describeRendition(previous)} to ${StreamLoader.describeRendition(rendition)} at ${track.bufferedUntil.toFixed(2)}s (${estimate})`
+      : `Starting with ${label} ${StreamLoader.describeRendition(rendition)}${track.kind === 'video' ? ` (${estimate})` : ''}`;
+    this.onEvent('stream-switch', message);
+
+    if (rendition.initSegment) {
+      await this.append(track, await this.fetchSegment(rendition.initSegment, false));
+    }
+  }
+
+  /**
+   * Wait while more than MAX_BUFFER_AHEAD seconds are buffered ahead of the playhead
+   * @param {number} segmentStart - Start time of the next segment
+   */
+  async waitForBufferRoom(segmentStart) {
+    while (!this.destroyed && !this.halted && segmentStart - this.video.currentTime > MAX_BUFFER_AHEAD) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+  }
+
+  /**
+   * Append data to a track's SourceBuffer
+   * A rejected append halts loading: the media element then fires its own
+   * error event, which the player reports.
+   * @param {Object} track - Video or audio track
+   * @param {ArrayBuffer} data - Segment data
+   */
+  append(track, data) {
+    if (this.destroyed || this.halted) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      const buffer = track.sourceBuffer;
+      const done = () => {
+        buffer.removeEventListener('updateend', done);
+        resolve();
+      };
+      buffer.addEventListener('updateend', done);
+
+      try {
+        buffer.appendBuffer(data);
+      } catch (error) {
+        buffer.removeEventListener('updateend', done);
+        console.warn('[StreamLoader] appendBuffer failed:', error);
+        this.halted = true;
+        resolve();
+      }
+    });
+  }
+
+  /**
+   * Fetch a segment and update the bandwidth estimate
+   * @param {Object} segment - { url, range }
+   * @param {boolean} measure - Whether the download updates the estimate
+   * @returns {ArrayBuffer}
+   */
+  async fetchSegment(segment, measure) {
+    const headers = segment.range ? { Range: `bytes=${segment.range.start}-${segment.range.end}` } : {};
+    const started = performance.now();
+
+    let response;
+    try {
+      response = await fetch(segment.url, { headers });
+    } catch (error) {
+      throw new VASTError(401, `Stream segment could not be fetched: ${segment.url.substring(0, 100)} (${error.message})`);
+    }
+    if (!response.ok) {
+      throw new VASTError(401, `Stream segment request failed (HTTP ${response.status}): ${segment.url.substring(0, 100)}`);
+    }
+
+    const data = await response.arrayBuffer();
+    const seconds = (performance.now() - started) / 1000;
+
+    // Weighted average so a single fast or slow segment does not flip renditions
+    if (measure && seconds > 0 && data.byteLength > 16000) {
+      const measured = data.byteLength * 8 / seconds;
+      this.bandwidthEstimate = 0.7 * this.bandwidthEstimate + 0.3 * measured;
+    }
+
+    return data;
+  }
+
+  /**
+   * Fetch a manifest or playlist as text
+   * @param {string} url - URL
+   * @param {string} label - What is fetched, for the error message
+   * @returns {string}
+   */
+  async fetchText(url, label) {
+    let response;
+    try {
+      response = await fetch(url);
+    } catch (error) {
+      throw new VASTError(401, `${label} could not be fetched: ${error.message}`);
+    }
+    if (!response.ok) {
+      throw new VASTError(401, `${label} request failed (HTTP ${response.status})`);
+    }
+    return response.text();
+  }
+
+  /**
+   * SourceBuffer content type of a rendition
+   */
+  static contentType(rendition) {
+    return `${rendition.mimeType}; codecs="${rendition.codecs}"`;
+  }
+
+  /**
+   * Short description of a rendition for the event log
+   */
+  static describeRendition(rendition) {
+    const size = rendition.width && rendition.height ? `${rendition.width}x${rendition.height}` : (rendition.language || rendition.id);
+    return rendition.bandwidth ? `${size} @ ${StreamLoader.formatBitrate(rendition.bandwidth)}` : size;
+  }
+
+  /**
+   * Format bits per second as kbps / Mbps
+   */
+  static formatBitrate(bps) {
+    return bps >= 1000000 ? `${(bps / 1000000).toFixed(1)}Mbps` : `${Math.round(bps / 1000)}kbps`;
+  }
+}
+
+// Export for use in video player
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StreamLoader;
+}
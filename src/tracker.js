@@ -2,10 +2,15 @@
  * Tracker - Manages tracking URLs, pixels, and event firing
  */
 
+// Names a macro override may have (VAST macros are uppercase words)
+const MACRO_NAME = /^[A-Z0-9_]+$/;
+
 class Tracker {
   constructor() {
-    this.firedTrackers = new Set();
+    this.firedTrackers = new Map(); // Fired tracker key (scoped per ad) -> URL
+    this.firedURLs = new Set(); // Fired URLs regardless of ad
     this.trackingLog = [];
+    this.macroOverrides = {}; // Macro name (without brackets) -> value set by the tester
   }
 
   /**
@@ -40,19 +45,30 @@ class Tracker {
       '[PLAYERHEIGHT]': context.playerHeight || '',
       '[PLAYERSIZE]': context.playerSize || '',
 
+      // Error macros (only meaningful on Error URLs)
+      '[ERRORCODE]': context.errorCode || '',
+
       // Additional common macros
       '[RANDOM]': Math.floor(Math.random() * 1000000000),
-      '[PAGEURL]': encodeURIComponent(window.location.href),
+      // The fragment can hold a whole permalinked VAST document
+      '[PAGEURL]': encodeURIComponent(window.location.href.split('#')[0]),
       '[DOMAIN]': encodeURIComponent(window.location.hostname)
     };
 
+    // Values set by the tester win over the player's (URL-encoded like the others)
+    Object.entries(this.macroOverrides)
+      .filter(([name]) => MACRO_NAME.test(name))
+      .forEach(([name, value]) => {
+        macros[`[${name}]`] = encodeURIComponent(value);
+      });
+
     let replacedURL = url;
 
     // Replace each macro
     for (const [macro, value] of Object.entries(macros)) {
       // Case-insensitive replacement
-      const regex = new RegExp(macro.replace(/[[\]]/g, '\\$&'), 'gi');
-      replacedURL = replacedURL.replace(regex, value);
+      const regex = new RegExp(macro.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+      replacedURL = replacedURL.replace(regex, () => value);
     }
 
     // Log if macros were replaced
@@ -67,6 +83,8 @@ class Tracker {
 
   /**
    * Fire a tracking URL
+   * Trackers are de-duplicated per ad (context.adId), so the same pixel in two
+   * ads of a pod fires once for each ad.
    * @param {string} url - Tracking URL to fire
    * @param {string} type - Type of tracking (impression, click, event)
    * @param {string} event - Event name (if applicable)
@@ -74,7 +92,9 @@ class Tracker {
    * @returns {Promise<boolean>} Success status
    */
   async fireTracker(url, type = 'tracking', event = null, context = {}) {
-    if (!url || this.firedTrackers.has(url)) {
+    const variant = type === 'error' ? context.errorCode : (event === 'progress' ? context.offset : null);
+    const key = this.getTrackerKey(url, context.adId, variant);
+    if (!url || this.firedTrackers.has(key)) {
       return false;
     }
 
@@ -88,7 +108,8 @@ class Tracker {
       await this.sendTracking(processedURL);
 
       // Mark as fired (using original URL to prevent duplicates)
-      this.firedTrackers.add(url);
+      this.firedTrackers.set(key, url);
+      this.firedURLs.add(url);
 
       // Log the event
       this.trackingLog.push({
@@ -96,6 +117,9 @@ class Tracker {
         originalURL: url,
         type,
         event,
+        adId: context.adId || null,
+        errorCode: context.errorCode || null,
+        videoTime: context.videoTime || null,
         timestamp,
         status: 'success'
       });
@@ -110,6 +134,9 @@ class Tracker {
         url,
         type,
         event,
+        adId: context.adId || null,
+        errorCode: context.errorCode || null,
+        videoTime: context.videoTime || null,
         timestamp: new Date().toISOString(),
         status: 'failed',
         error: error.message
@@ -215,13 +242,108 @@ class Tracker {
     await Promise.all(promises);
   }
 
+  /**
+   * Fire Error URLs with the [ERRORCODE] macro substituted
+   * @param {Array} errorURLs - Error URLs of the ad and its wrappers
+   * @param {number} errorCode - IAB VAST error code
+   * @param {Object} context - Context for macro replacement
+   * @returns {Promise<Array>} Error URLs that were fired
+   */
+  async fireErrorTrackers(errorURLs, errorCode, context = {}) {
+    const errorContext = { ...context, errorCode };
+
+    const results = await Promise.all(errorURLs.map(url => {
+      return this.fireTracker(url, 'error', String(errorCode), errorContext);
+    }));
+
+    return errorURLs.filter((url, index) => results[index]);
+  }
+
+  /**
+   * Fire the ViewableImpression URLs of the measured viewability outcome
+   * @param {string} bucket - Viewable, NotViewable or ViewUndetermined
+   * @param {Array} urls - URLs of that bucket
+   * @param {Object} context - Context for macro replacement
+   */
+  async fireViewabilityTrackers(bucket, urls, context = {}) {
+    await Promise.all(urls.map(url => this.fireTracker(url, 'viewability', bucket, context)));
+  }
+
+  /**
+   * Fire the IconViewTracking URLs of an icon when it is displayed
+   * @param {Array} urls - IconViewTracking URLs
+   * @param {Object} context - Context for macro replacement
+   */
+  async fireIconViewTrackers(urls, context = {}) {
+    await Promise.all(urls.map(url => this.fireTracker(url, 'icon', 'IconViewTracking', context)));
+  }
+
+  /**
+   * Fire a single progress tracker once playback crossed its offset
+   * @param {Object} tracker - Progress tracker ({ url, offset })
+   * @param {Object} context - Context for macro replacement
+   */
+  async fireProgressTracker(tracker, context = {}) {
+    return this.fireTracker(tracker.url, 'event', 'progress', { ...context, offset: tracker.offset });
+  }
+
+  /**
+   * Build the de-duplication key of a tracker
+   * @param {string} url - Tracker URL
+   * @param {string|null} adId - Ad the tracker belongs to
+   * @param {string|number|null} variant - Error code or progress offset (the same
+   *   URL fires once per error code and once per progress offset)
+   * @returns {string}
+   */
+  getTrackerKey(url, adId = null, variant = null) {
+    const key = adId ? `${adId}::${url}` : url;
+    return variant ? `${key}#${variant}` : key;
+  }
+
   /**
    * Check if a tracker has been fired
    * @param {string} url - Tracker URL
+   * @param {string|null} adId - Only check this ad (any ad when omitted)
    * @returns {boolean}
    */
-  hasFired(url) {
-    return this.firedTrackers.has(url);
+  hasFired(url, adId = null) {
+    return adId ? this.firedTrackers.has(this.getTrackerKey(url, adId)) : this.firedURLs.has(url);
+  }
+
+  /**
+   * Let the trackers of an ad fire again (the ad is played again from the start)
+   * The tracking log keeps the earlier hits, but its URLs no longer show as
+   * fired unless another ad fired them too.
+   * @param {string} adId - Ad to reset
+   */
+  resetAd(adId) {
+    const prefix = this.getTrackerKey('', adId);
+    const urls = new Set(this.trackingLog.filter(entry => entry.adId === adId && entry.status === 'success').map(entry => entry.originalURL));
+
+    this.firedTrackers.forEach((url, key) => {
+      if (key.startsWith(prefix)) {
+        this.firedTrackers.delete(key);
+        urls.add(url);
+      }
+    });
+
+    const stillFired = new Set(this.firedTrackers.values());
+    urls.forEach(url => {
+      if (!stillFired.has(url)) {
+        this.firedURLs.delete(url);
+      }
+    });
+  }
+
+  /**
+   * Replace the tracking log with a saved one (a run reopened from the history)
+   * Its URLs show as fired; played again, the ads fire their trackers anew.
+   * @param {Array} log - Saved tracking log
+   */
+  restoreLog(log) {
+    this.reset();
+    this.trackingLog = log.slice();
+    log.filter(entry => entry.status === 'success').forEach(entry => this.firedURLs.add(entry.originalURL));
   }
 
   /**
@@ -245,6 +367,7 @@ class Tracker {
    */
   reset() {
     this.firedTrackers.clear();
+    this.firedURLs.clear();
     this.trackingLog = [];
   }
 
@@ -2,12 +2,65 @@
  * UI Controller - Manages the user interface and coordinates components
  */
 
+const DOWNLOAD_REVOKE_DELAY = 10000; // ms an exported file's blob URL stays valid
+
+// Styles of the offline HTML report: inline, system fonts, no icon font
+const REPORT_STYLES = `
+  body { margin: 0; background: #f8fafc; color: #0f172a; font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; }
+  main { max-width: 1100px; margin: 0 auto; padding: 24px; }
+  h1 { margin: 0 0 4px; font-size: 24px; }
+  h2 { margin: 0 0 12px; font-size: 18px; }
+  h3 { margin: 16px 0 8px; font-size: 13px; text-transform: uppercase; letter-spacing: 0.05em; color: #475569; }
+  section { margin-top: 20px; padding: 16px 20px; background: #fff; border: 1px solid #e2e8f0; border-radius: 8px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { padding: 6px 8px; border-bottom: 1px solid #e2e8f0; text-align: left; vertical-align: top; }
+  th { background: #f1f5f9; font-weight: 600; }
+  code, pre, .url { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 12px; word-break: break-all; }
+  pre { max-height: 400px; overflow: auto; padding: 12px; background: #f1f5f9; border-radius: 6px; white-space: pre-wrap; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; margin: 0; }
+  dt { color: #64748b; }
+  dd { margin: 0; }
+  ul { margin: 4px 0 0; padding-left: 18px; }
+  .meta, .muted { color: #64748b; }
+  .status { display: inline-block; margin-top: 8px; padding: 4px 12px; border-radius: 12px; font-weight: 600; }
+  .ok { color: #047857; }
+  .failed, .error { color: #b91c1c; }
+  .warning { color: #b45309; }
+  .status.ok { background: #d1fae5; }
+  .status.failed { background: #fee2e2; }
+  .badge { display: inline-block; padding: 1px 8px; border-radius: 10px; background: #e2e8f0; font-size: 12px; font-weight: 600; }
+  .badge.ok { background: #d1fae5; }
+  .badge.failed, .badge.error { background: #fee2e2; }
+  .badge.warning { background: #fef3c7; }
+  footer { margin: 24px 0; text-align: center; color: #94a3b8; font-size: 12px; }
+  @media print { body { background: #fff; } section { break-inside: avoid; border-color: #cbd5e1; } }
+`;
+
 class UIController {
   constructor() {
     this.parser = new VASTParser();
+    this.linter = new VASTLinter(this.parser);
     this.tracker = new Tracker();
     this.player = null;
     this.inputMode = 'url'; // 'url' or 'xml'
+    this.probe = null; // MediaProbe of the media files on display
+    this.probeTargets = []; // Media files listed by displayMediaFiles, in order
+    this.probeResults = new Map(); // MediaProbe result of each probed media file
+    this.currentResult = null; // Parse result on display
+    this.shownAd = null; // Ad whose details are on display
+    this.pickTargets = []; // { ad, creative, mediaFile } played by each pick button
+    this.history = HistoryStore.isSupported() ? new HistoryStore() : null;
+    this.historyRuns = []; // Run summaries listed in the history sidebar
+    this.historyRun = null; // Record of the run in progress, saved as its logs grow
+    this.historySaving = Promise.resolve(); // Saves are written one after the other
+    this.historySaveTimer = null;
+    this.openedRun = null; // Past run reopened from the history (record with its saved logs)
+    this.runLogStart = { events: 0, trackers: 0 }; // Log lengths when the run started
+    this.batch = null; // BatchRunner in progress
+    this.batchRows = []; // Rows of the last batch, in run order
+    this.batchTotal = 0; // Tags in the last batch
+    this.batchStartedAt = null;
+    this.batchSort = { key: 'index', ascending: true };
   }
 
   /**
@@ -17,6 +70,8 @@ class UIController {
     this.setupElements();
     this.setupEventListeners();
     this.updateInputMode();
+    this.loadHistory();
+    this.restoreFromPermalink();
 
     console.log('VAST Inspector initialized');
   }
@@ -30,10 +85,28 @@ class UIController {
     this.xmlInput = document.getElementById('vast-xml-input');
     this.urlRadio = document.getElementById('input-url');
     this.xmlRadio = document.getElementById('input-xml');
+    this.maxWrapperDepthInput = document.getElementById('max-wrapper-depth');
+    this.contentVideoInput = document.getElementById('content-video-url');
+    this.macroOverridesInput = document.getElementById('macro-overrides');
+    this.deviceProfileSelect = document.getElementById('device-profile');
+    this.deviceProfileSelect.innerHTML = Object.entries(DEVICE_PROFILES)
+      .map(([id, profile]) => `<option value="${id}">${profile.name}</option>`)
+      .join('');
 
     // Buttons
     this.testButton = document.getElementById('test-button');
     this.clearButton = document.getElementById('clear-button');
+    this.shareButton = document.getElementById('share-button');
+    this.exportButtons = {
+      json: document.getElementById('export-json'),
+      csv: document.getElementById('export-csv'),
+      har: document.getElementById('export-har')
+    };
+    this.reportButton = document.getElementById('export-report');
+    this.compareButton = document.getElementById('compare-button');
+    this.batchRunButton = document.getElementById('batch-run');
+    this.batchStopButton = document.getElementById('batch-stop');
+    this.batchExportButton = document.getElementById('batch-export');
 
     // Display sections
     this.statusDiv = document.getElementById('status');
@@ -41,10 +114,27 @@ class UIController {
     this.pixelsDiv = document.getElementById('tracking-pixels');
     this.eventLogDiv = document.getElementById('event-log');
     this.vastInfoDiv = document.getElementById('vast-info');
+    this.verificationsDiv = document.getElementById('ad-verifications');
+    this.lintFindingsDiv = document.getElementById('lint-findings');
+    this.viewabilityMeter = document.getElementById('viewability-meter');
+    this.captionPanel = document.getElementById('caption-panel');
+    this.historySearch = document.getElementById('history-search');
+    this.historyQuota = document.getElementById('history-quota');
+    this.historyList = document.getElementById('history-list');
+    this.compareLeftInput = document.getElementById('compare-left');
+    this.compareRightInput = document.getElementById('compare-right');
+    this.compareResultDiv = document.getElementById('compare-result');
+    this.batchInput = document.getElementById('batch-input');
+    this.batchFileInput = document.getElementById('batch-file');
+    this.batchAutoplayInput = document.getElementById('batch-autoplay');
+    this.batchSpeedSelect = document.getElementById('batch-speed');
+    this.batchProgressDiv = document.getElementById('batch-progress');
+    this.batchTableDiv = document.getElementById('batch-table');
 
     // Video player
     this.videoElement = document.getElementById('ad-video');
     this.player = new VideoPlayer(this.videoElement, this.tracker);
+    this.player.contentVideoURL = this.getContentVideoURL();
   }
 
   /**
@@ -58,9 +148,76 @@ class UIController {
     // Buttons
     this.testButton.addEventListener('click', () => this.testAd());
     this.clearButton.addEventListener('click', () => this.clearAll());
+    this.shareButton.addEventListener('click', () => this.copyPermalink());
+    Object.entries(this.exportButtons).forEach(([format, button]) => {
+      button.addEventListener('click', () => this.exportSession(format));
+    });
+    this.reportButton.addEventListener('click', () => this.exportReport());
+    this.compareButton.addEventListener('click', () => this.compareResponses());
+    this.batchRunButton.addEventListener('click', () => this.runBatch());
+    this.batchStopButton.addEventListener('click', () => this.stopBatch());
+    this.batchExportButton.addEventListener('click', () => this.exportBatch());
+    this.batchFileInput.addEventListener('change', () => this.loadBatchFile());
+
+    // Batch table: sortable headers and a button to test a tag in the inspector
+    this.batchTableDiv.addEventListener('click', (e) => {
+      const header = e.target.closest('[data-sort]');
+      const open = e.target.closest('[data-batch-row]');
+      if (header) {
+        const key = header.dataset.sort;
+        this.batchSort = { key, ascending: this.batchSort.key === key ? !this.batchSort.ascending : true };
+        this.renderBatchTable();
+      } else if (open) {
+        this.openBatchRow(this.batchRows[parseInt(open.dataset.batchRow)]);
+      }
+    });
 
     // Video events
     document.addEventListener('videoevent', (e) => this.onVideoEvent(e));
+    document.addEventListener('viewabilitychange', (e) => this.displayViewability(e.detail));
+    document.addEventListener('captionschange', (e) => this.displayCaptions(e.detail));
+
+    // Ad, creative and MediaFile pick buttons (re-rendered with the VAST info)
+    this.vastInfoDiv.addEventListener('click', (e) => {
+      const button = e.target.closest('.pick-button');
+      if (button) {
+        this.playPick(this.pickTargets[parseInt(button.dataset.pick)]);
+      }
+    });
+
+    // History sidebar
+    this.historySearch.addEventListener('input', () => this.renderHistory());
+    this.historyList.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-run-id]');
+      if (!button) return;
+      const id = parseInt(button.dataset.runId);
+      if (button.classList.contains('history-open')) {
+        this.openRun(id);
+      } else if (button.classList.contains('history-delete')) {
+        this.deleteRun(id);
+      }
+    });
+
+    // A permalink pasted into the address bar of an open inspector
+    window.addEventListener('hashchange', () => this.restoreFromPermalink());
+
+    // The last debounced save would be lost with the page
+    window.addEventListener('pagehide', () => this.saveHistory());
+
+    // Caption selector (re-rendered with the panel)
+    this.captionPanel.addEventListener('change', (e) => {
+      if (e.target.classList.contains('caption-select')) {
+        this.player.selectCaption(parseInt(e.target.value));
+      }
+    });
+  }
+
+  /**
+   * Content video for NonLinear ads: the field, or its default from index.html when cleared
+   * @returns {string}
+   */
+  getContentVideoURL() {
+    return this.contentVideoInput.value.trim() || this.contentVideoInput.defaultValue;
   }
 
   /**
@@ -82,6 +239,15 @@ class UIController {
    * Test ad
    */
   async testAd() {
+    // A batch is using the player and tracker
+    if (this.batch) return;
+
+    // The previous run is complete: write it out before starting the next one
+    this.saveHistory();
+    this.historyRun = null;
+    this.openedRun = null;
+    this.updateExportButtons();
+
     this.showStatus('Loading VAST...', 'info');
     this.clearDisplays();
 
@@ -95,11 +261,27 @@ class UIController {
         return;
       }
 
-      // Parse VAST
+      // MediaFile selection follows the device profile (shown in the media file list)
+      this.player.deviceProfile = this.deviceProfileSelect.value;
+
+      // Macro values set by the tester, and a link that reproduces this test
+      this.tracker.macroOverrides = this.parseMacroOverrides(this.macroOverridesInput.value);
+      this.updatePermalink().catch(error => console.warn('Permalink not updated:', error));
+
+      // Logs written from here on belong to this run
+      this.runLogStart = { events: this.player.getEventLog().length, trackers: this.tracker.getLog().length };
+
+      // Parse VAST (following wrappers up to the configured depth)
+      this.parser.maxWrapperDepth = parseInt(this.maxWrapperDepthInput.value) || 5;
       const result = await this.parser.parse(input, this.inputMode === 'xml');
 
       if (!result.success) {
-        this.showStatus(`Error: ${result.error}`, 'error');
+        const code = result.errorCode ? ` [VAST ${result.errorCode}]` : '';
+        this.showStatus(`Error${code}: ${result.error}`, 'error');
+        // Documents received before the failure (and the syntax error itself) are linted too
+        const responses = result.responses || [];
+        this.displayLintFindings(this.linter.lint(responses), responses.length);
+        this.recordRun(input, result);
         return;
       }
 
@@ -110,13 +292,22 @@ class UIController {
         this.showStatus(`VAST ${result.version} loaded successfully`, 'success');
       }
 
-      // Display VAST info
+      // Display VAST info, then check the media files against their declared attributes
+      this.currentResult = result;
       this.displayVASTInfo(result);
+      this.probeMediaFiles();
+
+      // Lint every document received (root and wrapper hops)
+      this.displayLintFindings(this.linter.lint(result.responses), result.responses.length);
+
+      // Display AdVerifications
+      this.displayVerifications(result.data.ads);
 
       // Display tracking URLs
       this.displayTrackingURLs(result.tracking);
 
-      // Load ad into player
+      // Load ad into player (NonLinear ads play over the content video)
+      this.player.contentVideoURL = this.getContentVideoURL();
       const loaded = this.player.loadAd(result.data, result.tracking);
 
       if (loaded) {
@@ -125,6 +316,8 @@ class UIController {
         this.showStatus('Failed to load ad into player', 'error');
       }
 
+      this.recordRun(input, result);
+
     } catch (error) {
       console.error('Test ad error:', error);
       this.showStatus(`Error: ${error.message}`, 'error');
@@ -133,10 +326,14 @@ class UIController {
 
   /**
    * Display VAST information
+   * @param {Object} result - Parse result
+   * @param {number} adIndex - Ad whose details are shown (the first by default)
    */
-  displayVASTInfo(result) {
-    const ad = result.data.ads[0];
+  displayVASTInfo(result, adIndex = 0) {
+    const ad = result.data.ads[adIndex];
     if (!ad) return;
+    this.shownAd = ad;
+    this.pickTargets = [];
 
     let html = `
       <h3><i class="fas fa-info-circle"></i> VAST Information</h3>
@@ -149,6 +346,16 @@ class UIController {
         </div>
     `;
 
+    // Display pod / buffet breakdown when the response holds several ads
+    if (result.data.ads.length > 1) {
+      html += this.displayAdPod(result.data.ads, ad);
+    }
+
+    // Display the wrapper chain when the ad was wrapped
+    if (ad.wrapperChain && (ad.wrapper || ad.wrapperChain.length > 1)) {
+      html += this.displayWrapperChain(ad.wrapperChain, ad.resolveError);
+    }
+
     if (ad.inline) {
       html += `
         <div class="info-item">
@@ -175,8 +382,30 @@ class UIController {
           <div class="info-item">
             <strong><i class="fas fa-file-video"></i> Media Files:</strong> ${linearCreative.data.mediaFiles.length}
           </div>
+          <div class="info-item">
+            <strong><i class="fas fa-forward"></i> Skippable:</strong> ${linearCreative.data.skipoffset ? `Yes (skipoffset ${linearCreative.data.skipoffset})` : 'No'}
+          </div>
         `;
 
+        html += this.displayIcons(linearCreative.data.icons || []);
+
+        const captionFiles = linearCreative.data.closedCaptionFiles || [];
+        html += `
+          <div class="info-item">
+            <strong><i class="fas fa-closed-captioning"></i> Closed Captions:</strong> ${captionFiles.length > 0
+              ? this.escapeHTML(captionFiles.map(f => `${f.language || '?'} (${f.type || 'no type'})`).join(', '))
+              : 'None declared'}
+          </div>
+        `;
+
+        if (linearCreative.data.skipoffset) {
+          html += `
+            <div class="info-item">
+              <strong><i class="fas fa-stopwatch"></i> Skip Available At:</strong> <span id="skip-available-at">Not reached yet</span>
+            </div>
+          `;
+        }
+
         // Show SIMID info (higher priority than VPAID)
         if (hasSIMID) {
           html += `
@@ -214,8 +443,30 @@ class UIController {
         }
       }
 
+      const companionCreatives = ad.inline.creatives.filter(c => c.type === 'companion');
+      if (companionCreatives.length > 0) {
+        const companions = companionCreatives.flatMap(c => c.data.companions);
+        const required = companionCreatives.map(c => c.data.required).filter(Boolean);
+        html += `
+          <div class="info-item">
+            <strong><i class="fas fa-th-large"></i> Companions:</strong> ${companions.length}${required.length > 0 ? ` (required: ${this.escapeHTML(required.join(', '))})` : ''}
+          </div>
+        `;
+      }
+
+      const nonLinearCreative = ad.inline.creatives.find(c => c.type === 'nonlinear');
+      if (nonLinearCreative) {
+        html += this.displayNonLinears(nonLinearCreative.data);
+      }
+
       // Display media files with device detection
-      html += this.displayMediaFiles(ad.inline.creatives);
+      html += this.displayMediaFiles(ad.inline.creatives, ad);
+    }
+
+    // Extensions of every hop (the wrappers only when the chain failed)
+    const extensions = ad.inline ? ad.inline.extensions : (ad.wrapper ? ad.wrapper.extensions : []);
+    if (extensions && extensions.length > 0) {
+      html += this.displayExtensions(extensions);
     }
 
     html += `</div>`;
@@ -223,6 +474,384 @@ class UIController {
     this.vastInfoDiv.innerHTML = html;
   }
 
+  /**
+   * Display the Extensions of an ad as expandable trees with recognized fields
+   * @param {Array} extensions - Parsed extensions of every hop
+   * @returns {string} HTML
+   */
+  displayExtensions(extensions) {
+    let html = `
+      <div class="info-item" style="grid-column: 1 / -1;">
+        <strong><i class="fas fa-puzzle-piece"></i> Extensions (${extensions.length}):</strong>
+        <div class="extension-list">
+    `;
+
+    extensions.forEach(extension => {
+      const origin = `${extension.source}${extension.depth > 0 ? ` (hop ${extension.depth})` : ''}${extension.adSystem ? ` · ${extension.adSystem}` : ''}`;
+      const recognized = extension.recognized;
+
+      html += `
+        <details class="extension">
+          <summary>
+            <span class="extension-type">${this.escapeHTML(extension.type || '(no type)')}</span>
+            <span class="extension-origin">${this.escapeHTML(origin)}</span>
+            ${recognized ? `<span class="extension-recognized">${this.escapeHTML(recognized.name)}</span>` : ''}
+          </summary>
+      `;
+
+      if (recognized && recognized.fields.length > 0) {
+        html += `
+          <dl class="extension-fields">
+            ${recognized.fields.map(field => `
+              <dt>${this.escapeHTML(field.label)}</dt>
+              <dd>${this.escapeHTML(field.value)}</dd>
+            `).join('')}
+          </dl>
+        `;
+      }
+
+      html += `
+          <div class="extension-tree">${this.renderElementTree(extension.tree)}</div>
+          <details class="extension-raw">
+            <summary>Raw XML</summary>
+            <pre>${this.escapeHTML(extension.xml)}</pre>
+          </details>
+        </details>
+      `;
+    });
+
+    html += `</div></div>`;
+    return html;
+  }
+
+  /**
+   * Render an element tree as nested expandable nodes
+   * @param {Object} node - { name, attributes, text, children }
+   * @returns {string} HTML
+   */
+  renderElementTree(node) {
+    const attributes = node.attributes
+      .map(attr => ` <span class="tree-attr">${this.escapeHTML(attr.name)}</span>="<span class="tree-value">${this.escapeHTML(attr.value)}</span>"`)
+      .join('');
+    const label = `<span class="tree-tag">&lt;${this.escapeHTML(node.name)}</span>${attributes}<span class="tree-tag">&gt;</span>`;
+    const text = node.text ? `<div class="tree-text">${this.escapeHTML(node.text)}</div>` : '';
+
+    if (node.children.length === 0) {
+      return `<div class="tree-node tree-leaf">${label}${text}</div>`;
+    }
+
+    return `
+      <details class="tree-node" open>
+        <summary>${label}</summary>
+        ${text}
+        ${node.children.map(child => this.renderElementTree(child)).join('')}
+      </details>
+    `;
+  }
+
+  /**
+   * Display the Icons of a linear creative and whether an AdChoices icon is present
+   * @param {Array} icons - Parsed icons
+   * @returns {string} HTML
+   */
+  displayIcons(icons) {
+    const adChoices = icons.find(icon => (icon.program || '').toLowerCase() === 'adchoices');
+    const describe = (icon) => {
+      const timing = icon.offset || icon.duration ? `, from ${icon.offset || '00:00:00'}${icon.duration ? ` for ${icon.duration}` : ''}` : '';
+      return `${icon.program || '(no program)'} ${icon.width || '?'}x${icon.height || '?'} at ${icon.xPosition || '?'}/${icon.yPosition || '?'}${timing}`;
+    };
+
+    return `
+      <div class="info-item">
+        <strong><i class="fas fa-info"></i> AdChoices Icon:</strong> ${adChoices ? `Yes (${this.escapeHTML(describe(adChoices))})` : 'No'}
+      </div>
+      ${icons.length > 0 ? `
+        <div class="info-item" style="grid-column: 1 / -1;">
+          <strong><i class="fas fa-icons"></i> Icons:</strong> ${icons.map(icon => this.escapeHTML(describe(icon))).join('; ')}
+        </div>
+      ` : ''}
+    `;
+  }
+
+  /**
+   * Display the NonLinear overlays of a NonLinearAds creative
+   * @param {Object} nonLinearAds - Parsed NonLinearAds
+   * @returns {string} HTML
+   */
+  displayNonLinears(nonLinearAds) {
+    let html = '';
+
+    nonLinearAds.nonLinears.forEach((nl, index) => {
+      const details = [
+        nl.width && nl.height ? `${nl.width}x${nl.height}` : 'size not declared',
+        nl.minSuggestedDuration ? `shown for ${nl.minSuggestedDuration}` : null,
+        `resources: ${nl.resources.map(r => r.creativeType ? `${r.type} (${r.creativeType})` : r.type).join(', ') || 'none'}`,
+        nl.scalable ? null : 'not scalable'
+      ].filter(Boolean);
+
+      html += `
+        <div class="info-item" style="grid-column: 1 / -1;">
+          <strong><i class="fas fa-layer-group"></i> NonLinear ${index + 1}:</strong> ${this.escapeHTML(details.join(', '))}
+        </div>
+      `;
+    });
+
+    return html;
+  }
+
+  /**
+   * Display ads in playback order: the pod by sequence, then the buffet
+   * @param {Array} ads - Parsed ads
+   * @param {Object} shownAd - Ad whose details are on display
+   */
+  displayAdPod(ads, shownAd) {
+    const { pod, buffet } = this.player.buildAdQueue(ads);
+    const unresolved = ads.filter(ad => ad.type !== 'inline');
+
+    let html = '<div style="grid-column: 1 / -1; margin-top: 15px;">';
+    html += `<h4>Ads in Response (pod: ${pod.length}, buffet: ${buffet.length})</h4>`;
+    html += '<div class="media-files-list">';
+
+    const renderAd = (ad, label) => {
+      const linear = ad.inline && ad.inline.creatives.find(c => c.type === 'linear');
+      return `
+        <div class="media-file-item${ad === shownAd ? ' media-file-shown' : ''}">
+          <div class="media-file-header">
+            <span class="media-file-index">${label}</span>
+            <span class="hop-type">${ad.type}</span>
+            ${ad.inline ? this.renderPickButton({ ad }, 'Play this ad') : ''}
+          </div>
+          <div class="media-file-details">
+            <span><strong>ID:</strong> ${ad.id}</span>
+            <span><strong>Title:</strong> ${ad.inline ? ad.inline.adTitle || 'N/A' : 'N/A'}</span>
+            <span><strong>Duration:</strong> ${linear ? linear.data.duration || 'N/A' : 'N/A'}</span>
+          </div>
+        </div>
+      `;
+    };
+
+    pod.forEach(ad => {
+      html += renderAd(ad, `Sequence ${ad.sequence}`);
+    });
+    buffet.forEach(ad => {
+      html += renderAd(ad, pod.length > 0 ? 'Buffet (fallback)' : 'Buffet');
+    });
+    unresolved.forEach(ad => {
+      html += renderAd(ad, 'Not playable');
+    });
+
+    html += '</div></div>';
+    return html;
+  }
+
+  /**
+   * Display wrapper chain hops (URL, AdSystem, latency, status)
+   */
+  displayWrapperChain(chain, resolveError) {
+    const wrapperCount = chain.filter(hop => hop.type === 'wrapper').length;
+
+    let html = '<div style="grid-column: 1 / -1; margin-top: 15px;">';
+    html += `<h4>Wrapper Chain (${wrapperCount} wrapper${wrapperCount === 1 ? '' : 's'})</h4>`;
+    html += '<ol class="wrapper-chain">';
+
+    chain.forEach(hop => {
+      const latency = hop.latency !== null ? `${hop.latency}ms` : 'N/A';
+      const url = hop.url ? this.escapeHTML(this.truncateURL(hop.url, 80)) : '(pasted XML)';
+
+      html += `
+        <li class="wrapper-hop hop-${hop.status}">
+          <div class="wrapper-hop-header">
+            <span class="media-file-index">#${hop.depth}</span>
+            <span class="hop-type">${hop.type || 'request'}</span>
+            <span class="hop-status">${hop.status}</span>
+          </div>
+          <div class="media-file-details">
+            <span><strong>Ad System:</strong> ${this.escapeHTML(hop.adSystem || 'N/A')}</span>
+            <span><strong>Latency:</strong> ${latency}</span>
+          </div>
+          <div class="media-file-url" title="${this.escapeHTML(hop.url || '')}">${url}</div>
+          ${hop.error ? `<div class="hop-error">${this.escapeHTML(hop.error)}</div>` : ''}
+        </li>
+      `;
+    });
+
+    html += '</ol>';
+
+    if (resolveError) {
+      html += `
+        <div class="warning-banner">
+          <i class="fas fa-exclamation-triangle"></i>
+          <strong>Wrapper chain not resolved:</strong> ${this.escapeHTML(resolveError)}
+        </div>
+      `;
+    }
+
+    html += '</div>';
+    return html;
+  }
+
+  /**
+   * Display lint findings grouped by severity
+   * @param {Array} findings - Findings from VASTLinter
+   * @param {number} documentCount - Number of documents linted
+   */
+  displayLintFindings(findings, documentCount) {
+    const order = { error: 0, warning: 1, info: 2 };
+    const sorted = findings.slice().sort((a, b) => order[a.severity] - order[b.severity]);
+    const count = severity => findings.filter(f => f.severity === severity).length;
+
+    let html = `
+      <h3><i class="fas fa-clipboard-check"></i> Lint Findings</h3>
+      <div class="stats">
+        <span><i class="fas fa-file-code"></i> Documents: ${documentCount}</span>
+        <span class="failed"><i class="fas fa-times"></i> Errors: ${count('error')}</span>
+        <span class="warning"><i class="fas fa-exclamation-triangle"></i> Warnings: ${count('warning')}</span>
+        <span><i class="fas fa-info-circle"></i> Info: ${count('info')}</span>
+      </div>
+    `;
+
+    if (findings.length === 0) {
+      html += '<p class="lint-clean"><i class="fas fa-check-circle"></i> No structural issues found</p>';
+      this.lintFindingsDiv.innerHTML = html;
+      return;
+    }
+
+    html += '<ul class="lint-list">';
+    sorted.forEach(finding => {
+      const source = documentCount > 1
+        ? `<span class="lint-source" title="${this.escapeHTML(finding.source || '')}">${finding.source ? this.escapeHTML(this.truncateURL(finding.source, 50)) : 'pasted XML'}</span>`
+        : '';
+
+      html += `
+        <li class="lint-finding lint-${finding.severity}">
+          <div class="lint-header">
+            <span class="lint-severity">${finding.severity}</span>
+            <span class="lint-rule">${finding.rule}</span>
+            ${source}
+          </div>
+          <div class="lint-message">${this.escapeHTML(finding.message)}</div>
+          <div class="lint-path">${this.escapeHTML(finding.path)}</div>
+        </li>
+      `;
+    });
+    html += '</ul>';
+
+    this.lintFindingsDiv.innerHTML = html;
+  }
+
+  /**
+   * Display AdVerifications / OMID verification resources of every ad
+   */
+  displayVerifications(ads) {
+    const entries = [];
+    ads.forEach(ad => {
+      const body = ad.inline || ad.wrapper;
+      (body && body.verifications || []).forEach(v => entries.push({ ad, verification: v }));
+    });
+
+    let html = `<h3><i class="fas fa-shield-alt"></i> Ad Verifications (${entries.length})</h3>`;
+
+    if (entries.length === 0) {
+      html += `
+        <div class="warning-banner">
+          <i class="fas fa-exclamation-triangle"></i>
+          <strong>No AdVerifications found.</strong> Campaigns requiring DoubleVerify, IAS or Moat measurement will not be verified.
+        </div>
+      `;
+      this.verificationsDiv.innerHTML = html;
+      return;
+    }
+
+    html += '<div class="verification-list">';
+
+    entries.forEach(({ ad, verification }) => {
+      const hasErrors = verification.issues.some(i => i.severity === 'error');
+      const hasWarnings = verification.issues.some(i => i.severity === 'warning');
+      const stateClass = hasErrors ? 'has-errors' : (hasWarnings ? 'has-warnings' : '');
+
+      html += `
+        <div class="verification-item ${stateClass}">
+          <div class="media-file-header">
+            <span class="media-file-index">${verification.vendor ? this.escapeHTML(verification.vendor) : '<em>Missing vendor</em>'}</span>
+            <span class="hop-type">${verification.source === 'Extension' ? 'VAST 3 Extension' : 'AdVerifications'}</span>
+          </div>
+          <div class="media-file-details">
+            <span><strong>Ad:</strong> ${this.escapeHTML(ad.id)}</span>
+          </div>
+      `;
+
+      verification.javaScriptResources.forEach(res => {
+        html += `
+          <div class="media-file-details">
+            <span><strong>JavaScriptResource</strong></span>
+            <span><strong>API:</strong> ${this.escapeHTML(res.apiFramework || 'N/A')}</span>
+            <span><strong>Browser Optional:</strong> ${res.browserOptional ? 'Yes' : 'No'}</span>
+          </div>
+          <div class="media-file-url">${this.escapeHTML(this.truncateURL(res.url, 100))}</div>
+        `;
+      });
+
+      verification.executableResources.forEach(res => {
+        html += `
+          <div class="media-file-details">
+            <span><strong>ExecutableResource</strong></span>
+            <span><strong>API:</strong> ${this.escapeHTML(res.apiFramework || 'N/A')}</span>
+            <span><strong>Type:</strong> ${this.escapeHTML(res.type || 'N/A')}</span>
+          </div>
+          <div class="media-file-url">${this.escapeHTML(this.truncateURL(res.url, 100))}</div>
+        `;
+      });
+
+      if (verification.parameters) {
+        html += `<pre class="verification-params">${this.escapeHTML(verification.parameters)}</pre>`;
+      }
+
+      if (verification.trackingEvents.length > 0) {
+        html += '<ul class="url-list">';
+        verification.trackingEvents.forEach(track => {
+          html += `
+            <li title="${this.escapeHTML(track.url)}">
+              <span class="tracking-type"><i class="fas fa-bolt"></i> ${this.escapeHTML(track.event)}</span>
+              <span class="url-link">${this.escapeHTML(this.truncateURL(track.url))}</span>
+            </li>
+          `;
+        });
+        html += '</ul>';
+      }
+
+      html += this.renderIssues(verification.issues);
+      html += '</div>';
+    });
+
+    html += '</div>';
+    this.verificationsDiv.innerHTML = html;
+  }
+
+  /**
+   * Render a list of { severity, message } issues
+   */
+  renderIssues(issues) {
+    if (!issues || issues.length === 0) return '';
+
+    const icons = {
+      error: 'fa-times-circle',
+      warning: 'fa-exclamation-triangle',
+      info: 'fa-info-circle'
+    };
+
+    let html = '<ul class="issue-list">';
+    issues.forEach(issue => {
+      html += `
+        <li class="issue issue-${issue.severity}">
+          <i class="fas ${icons[issue.severity] || icons.info}"></i>
+          <span>${this.escapeHTML(issue.message)}</span>
+        </li>
+      `;
+    });
+    html += '</ul>';
+    return html;
+  }
+
   /**
    * Categorize media files by device type based on dimensions
    */
@@ -289,12 +918,31 @@ class UIController {
   /**
    * Display media files with device information
    */
-  displayMediaFiles(creatives) {
+  displayMediaFiles(creatives, ad) {
     let html = '<div style="grid-column: 1 / -1; margin-top: 15px;">';
     html += '<h4>Available Media Files</h4>';
+    this.probeTargets = [];
+
+    // Several playable creatives: each one can be played on its own
+    const playable = creatives.filter(c => c.type === 'linear' || c.type === 'nonlinear');
+
+    creatives.forEach((creative, creativeIndex) => {
+      if (playable.length > 1 && playable.includes(creative)) {
+        html += `
+          <div class="creative-pick">
+            <strong>Creative ${this.escapeHTML(creative.id || `#${creativeIndex + 1}`)}</strong> (${creative.type})
+            ${this.renderPickButton({ ad, creative }, 'Play this creative')}
+          </div>
+        `;
+      }
 
-    creatives.forEach(creative => {
       if (creative.type === 'linear' && creative.data.mediaFiles) {
+        // Selection for the device profile: the winner, then why the others lost
+        const rankings = this.player.rankMediaFiles(creative.data.mediaFiles);
+        const candidates = this.player.getMediaFileCandidates(creative.data.mediaFiles);
+        const selected = candidates[0] || null;
+        html += this.displayMediaSelection(creative.data.mediaFiles, rankings, selected);
+
         html += '<div class="media-files-list">';
 
         creative.data.mediaFiles.forEach((mf, index) => {
@@ -323,23 +971,53 @@ class UIController {
             specialClass = 'vpaid-creative';
           }
           const apiFramework = mf.apiFramework ? `<span><strong>API:</strong> ${mf.apiFramework}</span>` : '';
+          const ranking = rankings.find(r => r.mediaFile === mf);
+          let selectionBadge;
+          if (mf === selected) {
+            selectionBadge = '<span class="selection-badge selected"><i class="fas fa-check"></i> Selected</span>';
+            specialClass += ' media-file-selected';
+          } else if (candidates.includes(mf)) {
+            selectionBadge = `<span class="selection-badge">Fallback ${candidates.indexOf(mf)}</span>`;
+          } else {
+            selectionBadge = '<span class="selection-badge ineligible">Not eligible</span>';
+          }
+          const protocol = typeof StreamLoader !== 'undefined' ? StreamLoader.getProtocol(mf) : null;
+          const delivery = mf.delivery === 'streaming' || protocol
+            ? `<span><strong>Delivery:</strong> ${mf.delivery}${protocol ? ` (${protocol.toUpperCase()})` : ''}</span>`
+            : '';
 
           html += `
-            <div class="media-file-item ${specialClass}">
+            <div class="media-file-item ${specialClass}" data-media-index="${this.probeTargets.length}">
               <div class="media-file-header">
                 <span class="media-file-index">#${index + 1}</span>
                 <span class="device-badge device-${deviceType.toLowerCase().replace(/[^a-z]/g, '')}">${deviceType}</span>
                 ${specialBadge}
+                ${selectionBadge}
+                ${ranking.eligible ? `<span class="selection-score">Score ${ranking.score}</span>` : ''}
+                ${this.renderPickButton({ ad, creative, mediaFile: mf }, 'Play this MediaFile')}
               </div>
               <div class="media-file-details">
                 <span><strong>Type:</strong> ${type}</span>
                 <span><strong>Size:</strong> ${width}x${height} (${aspectRatio}:1)</span>
                 <span><strong>Bitrate:</strong> ${bitrate}</span>
                 ${apiFramework}
+                ${delivery}
               </div>
               <div class="media-file-url">${this.truncateURL(mf.url, 80)}</div>
+              <div class="media-probe" data-probe-index="${this.probeTargets.length}">
+                <i class="fas fa-spinner fa-spin"></i> Probing file...
+              </div>
+              <ul class="selection-reasons">
+                ${ranking.reasons.map(reason => `
+                  <li class="${reason.points === null ? 'dropped' : (reason.points > 0 ? 'plus' : (reason.points < 0 ? 'minus' : ''))}">
+                    <span class="selection-points">${reason.points === null ? '✕' : (reason.points > 0 ? `+${reason.points}` : reason.points)}</span>
+                    ${this.escapeHTML(reason.text)}
+                  </li>
+                `).join('')}
+              </ul>
             </div>
           `;
+          this.probeTargets.push({ mediaFile: mf, duration: creative.data.duration });
         });
 
         html += '</div>';
@@ -351,49 +1029,187 @@ class UIController {
   }
 
   /**
-   * Display tracking URLs
+   * Render a button that plays an ad, creative or MediaFile picked by hand
+   * @param {Object} target - { ad, creative, mediaFile }
+   * @param {string} title - Button tooltip
+   * @returns {string} HTML
    */
-  displayTrackingURLs(tracking) {
-    let html = '<h3><i class="fas fa-link"></i> Tracking URLs</h3>';
-
-    // Impressions
-    if (tracking.impressions.length > 0) {
-      html += `
-        <div class="tracking-section">
-          <h4><i class="fas fa-eye"></i> Impressions (${tracking.impressions.length})</h4>
-          <ul class="url-list">
-      `;
-      tracking.impressions.forEach(imp => {
-        const url = typeof imp === 'string' ? imp : imp.url;
-
-        // Validate URL
-        if (!this.validateURL(url)) {
-          console.warn('Invalid impression URL:', url);
-          return;
-        }
+  renderPickButton(target, title) {
+    this.pickTargets.push(target);
+    return `<button type="button" class="pick-button" data-pick="${this.pickTargets.length - 1}" title="${title}"><i class="fas fa-play"></i> Play</button>`;
+  }
 
-        const fired = this.tracker.hasFired(url);
-        const displayURL = this.truncateURL(url);
+  /**
+   * Play a picked ad, creative or MediaFile with fresh tracking state
+   * Picking another ad of the response shows its details first.
+   * @param {Object} target - { ad, creative, mediaFile }
+   */
+  playPick(target) {
+    if (!target || !this.currentResult || this.batch) return;
 
-        html += `
-          <li class="${fired ? 'fired' : ''}" title="${url}">
-            <i class="fas ${fired ? 'fa-check-circle' : 'fa-circle'} status-icon"></i>
-            <a href="${url}" target="_blank" class="url-link" rel="noopener noreferrer">${displayURL}</a>
-          </li>
-        `;
-      });
-      html += `</ul></div>`;
+    if (target.ad !== this.shownAd) {
+      this.displayVASTInfo(this.currentResult, this.currentResult.data.ads.indexOf(target.ad));
+      this.probeMediaFiles();
     }
 
-    // Clicks
-    if (tracking.clicks.length > 0) {
-      html += `
-        <div class="tracking-section">
-          <h4><i class="fas fa-mouse-pointer"></i> Click Tracking (${tracking.clicks.length})</h4>
-          <ul class="url-list">
-      `;
-      tracking.clicks.forEach(click => {
-        const url = typeof click === 'string' ? click : click.url;
+    if (this.player.playSelection(target.ad, target.creative || null, target.mediaFile || null)) {
+      this.showStatus(`Playing ad ${target.ad.id} (picked by hand, tracking reset)`, 'success');
+    } else {
+      this.showStatus(`Ad ${target.ad.id} could not be loaded with this selection`, 'error');
+    }
+
+    // Trackers of the replayed ad show as not fired until they fire again
+    this.displayTrackingURLs(this.currentResult.tracking);
+    this.updateTrackingPixels();
+  }
+
+  /**
+   * Highlight the MediaFile in the player in the media file list
+   */
+  highlightActiveMediaFile() {
+    const state = this.player.adState;
+    const index = state ? this.probeTargets.findIndex(t => t.mediaFile === state.mediaFile) : -1;
+
+    this.vastInfoDiv.querySelectorAll('.media-file-item[data-media-index]').forEach(item => {
+      item.classList.toggle('media-file-active', parseInt(item.dataset.mediaIndex) === index);
+    });
+  }
+
+  /**
+   * Probe the listed media files off-screen and show how the real assets
+   * compare with their declared attributes
+   */
+  probeMediaFiles() {
+    if (this.probe) {
+      this.probe.cancel();
+    }
+
+    const targets = this.probeTargets;
+    if (targets.length === 0) return;
+
+    this.probe = new MediaProbe();
+    this.probe.probeAll(targets, (result, index) => {
+      this.probeResults.set(targets[index].mediaFile, result);
+      const element = this.vastInfoDiv.querySelector(`.media-probe[data-probe-index="${index}"]`);
+      if (!element) return;
+
+      const mismatch = result.status === 'ok' && result.findings.some(f => f.severity !== 'info');
+      element.innerHTML = this.renderProbeResult(result);
+      element.classList.add(`probe-${mismatch ? 'mismatch' : result.status}`);
+    });
+  }
+
+  /**
+   * Render the probe result of a media file
+   * @param {Object} result - MediaProbe result
+   * @returns {string} HTML
+   */
+  renderProbeResult(result) {
+    const actual = result.actual;
+    const facts = [];
+    if (actual.duration !== null && isFinite(actual.duration)) facts.push(`${actual.duration.toFixed(2)}s`);
+    if (actual.width && actual.height) facts.push(`${actual.width}x${actual.height}`);
+    if (actual.bytes) facts.push(`${(actual.bytes / 1048576).toFixed(2)} MB`);
+    if (actual.bitrate) facts.push(`~${actual.bitrate}kbps`);
+
+    const icons = { error: 'fa-times-circle', warning: 'fa-exclamation-triangle', info: 'fa-info-circle' };
+    const problems = result.findings.filter(f => f.severity !== 'info').length;
+
+    let html = '<div class="probe-summary">';
+    if (result.status === 'unreachable') {
+      html += '<strong><i class="fas fa-unlink"></i> Unreachable</strong>';
+    } else if (result.status === 'skipped') {
+      html += '<strong><i class="fas fa-forward"></i> Not probed</strong>';
+    } else {
+      html += `<strong><i class="fas ${problems > 0 ? 'fa-exclamation-triangle' : 'fa-check-circle'}"></i> Probed:</strong> ${facts.join(', ')}`;
+      if (problems === 0) html += ' <span class="probe-match">matches the declared attributes</span>';
+    }
+    html += '</div>';
+
+    result.findings.forEach(finding => {
+      html += `<div class="probe-finding probe-${finding.severity}"><i class="fas ${icons[finding.severity]}"></i> ${this.escapeHTML(finding.message)}</div>`;
+    });
+
+    return html;
+  }
+
+  /**
+   * Summarize the MediaFile selection for the device profile
+   * @param {Array} mediaFiles - Media files in document order (as numbered in the list)
+   * @param {Array} rankings - MediaSelector rankings, best first
+   * @param {Object|null} selected - Media file the player will play
+   */
+  displayMediaSelection(mediaFiles, rankings, selected) {
+    const profile = DEVICE_PROFILES[this.player.deviceProfile] || DEVICE_PROFILES.desktop;
+    const eligible = rankings.filter(r => r.eligible);
+    const winner = rankings.find(r => r.mediaFile === selected);
+    const size = profile.width ? `${profile.width}x${profile.height}` : 'player size';
+
+    let summary;
+    if (!selected) {
+      summary = 'No MediaFile can be played.';
+    } else if (selected.isInteractive) {
+      summary = 'The SIMID interactive creative is played first; the video renditions below are its fallbacks.';
+    } else if (!winner || !winner.eligible) {
+      summary = 'No MediaFile is eligible for this profile: the first one is tried as a last resort.';
+    } else {
+      const runnerUp = eligible[1];
+      summary = `#${mediaFiles.indexOf(selected) + 1} wins with score ${winner.score}` +
+        (runnerUp ? `, ahead of #${mediaFiles.indexOf(runnerUp.mediaFile) + 1} (${runnerUp.score}).` : ', the only eligible MediaFile.');
+    }
+
+    return `
+      <div class="media-selection">
+        <div><strong><i class="fas fa-tv"></i> ${profile.name}</strong> <span class="media-selection-profile">target ${size}, cap ${profile.maxBitrate}kbps, ${profile.preferStreaming ? 'streaming' : 'progressive'} preferred</span></div>
+        <div class="media-selection-summary">${summary} ${rankings.length - eligible.length > 0 ? `${rankings.length - eligible.length} not eligible.` : ''}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Display tracking URLs
+   */
+  displayTrackingURLs(tracking) {
+    let html = '<h3><i class="fas fa-link"></i> Tracking URLs</h3>';
+
+    // Impressions
+    if (tracking.impressions.length > 0) {
+      html += `
+        <div class="tracking-section">
+          <h4><i class="fas fa-eye"></i> Impressions (${tracking.impressions.length})</h4>
+          <ul class="url-list">
+      `;
+      tracking.impressions.forEach(imp => {
+        const url = typeof imp === 'string' ? imp : imp.url;
+
+        // Validate URL
+        if (!this.validateURL(url)) {
+          console.warn('Invalid impression URL:', url);
+          return;
+        }
+
+        const fired = this.tracker.hasFired(url);
+        const displayURL = this.truncateURL(url);
+
+        html += `
+          <li class="${fired ? 'fired' : ''}" title="${url}">
+            <i class="fas ${fired ? 'fa-check-circle' : 'fa-circle'} status-icon"></i>
+            <a href="${url}" target="_blank" class="url-link" rel="noopener noreferrer">${displayURL}</a>
+          </li>
+        `;
+      });
+      html += `</ul></div>`;
+    }
+
+    // Clicks
+    if (tracking.clicks.length > 0) {
+      html += `
+        <div class="tracking-section">
+          <h4><i class="fas fa-mouse-pointer"></i> Click Tracking (${tracking.clicks.length})</h4>
+          <ul class="url-list">
+      `;
+      tracking.clicks.forEach(click => {
+        const url = typeof click === 'string' ? click : click.url;
 
         // Validate URL
         if (!this.validateURL(url)) {
@@ -436,7 +1252,35 @@ class UIController {
         html += `
           <li class="${fired ? 'fired' : ''}" title="${track.url}">
             <i class="fas ${fired ? 'fa-check-circle' : 'fa-circle'} status-icon"></i>
-            <span class="tracking-type"><i class="fas fa-bolt"></i> ${track.event}</span>
+            <span class="tracking-type"><i class="fas fa-bolt"></i> ${track.event}${track.offset ? ` @ ${track.offset}` : ''}</span>
+            <a href="${track.url}" target="_blank" class="url-link" rel="noopener noreferrer">${displayURL}</a>
+          </li>
+        `;
+      });
+      html += `</ul></div>`;
+    }
+
+    // Viewable impression
+    if (tracking.viewability && tracking.viewability.length > 0) {
+      html += `
+        <div class="tracking-section">
+          <h4><i class="fas fa-eye"></i> Viewable Impression (${tracking.viewability.length})</h4>
+          <ul class="url-list">
+      `;
+      tracking.viewability.forEach(track => {
+        // Validate URL
+        if (!this.validateURL(track.url)) {
+          console.warn('Invalid viewable impression URL:', track.url);
+          return;
+        }
+
+        const fired = this.tracker.hasFired(track.url);
+        const displayURL = this.truncateURL(track.url);
+
+        html += `
+          <li class="${fired ? 'fired' : ''}" title="${track.url}">
+            <i class="fas ${fired ? 'fa-check-circle' : 'fa-circle'} status-icon"></i>
+            <span class="tracking-type"><i class="fas fa-tag"></i> ${track.event}</span>
             <a href="${track.url}" target="_blank" class="url-link" rel="noopener noreferrer">${displayURL}</a>
           </li>
         `;
@@ -477,6 +1321,127 @@ class UIController {
     this.updateTrackingPixels();
   }
 
+  /**
+   * Display the caption files of the ad in the player with a track selector
+   * and the load and sync check results
+   * @param {Object|null} detail - { adId, captions }, or null when no captions apply
+   */
+  displayCaptions(detail) {
+    if (!detail) {
+      this.captionPanel.innerHTML = '';
+      return;
+    }
+
+    const statusLabels = {
+      loading: 'Loading',
+      ok: 'OK',
+      missing: 'Missing',
+      unreadable: 'Unreadable',
+      unsupported: 'Unsupported'
+    };
+    const readable = detail.captions.map((caption, index) => ({ caption, index })).filter(({ caption }) => caption.status === 'ok');
+    const issues = detail.captions.filter(c => c.status !== 'ok' && c.status !== 'loading' || c.findings.length > 0).length;
+
+    let html = `
+      <div class="caption-header">
+        <strong><i class="fas fa-closed-captioning"></i> Closed Captions</strong>
+    `;
+
+    if (readable.length > 0) {
+      html += `
+        <select class="caption-select" aria-label="Caption track">
+          <option value="-1">Off</option>
+          ${readable.map(({ caption, index }) => `<option value="${index}"${caption.showing ? ' selected' : ''}>${this.escapeHTML(caption.label)}</option>`).join('')}
+        </select>
+      `;
+    }
+    html += '</div>';
+
+    if (detail.captions.length === 0) {
+      html += `<div class="caption-note failed"><i class="fas fa-exclamation-triangle"></i> No ClosedCaptionFiles declared for ad ${this.escapeHTML(detail.adId || '')}</div>`;
+    } else {
+      html += '<ul class="caption-files">';
+      detail.captions.forEach(caption => {
+        const statusClass = caption.status === 'ok' ? (caption.findings.length > 0 ? 'pending' : 'ok') : (caption.status === 'loading' ? '' : 'failed');
+        const details = [
+          caption.format ? caption.format.toUpperCase() : null,
+          caption.status === 'ok' ? `${caption.cueCount} cues` : null
+        ].filter(Boolean).join(', ');
+
+        html += `
+          <li class="caption-file">
+            <div class="caption-file-header">
+              <span class="caption-status ${statusClass}">${statusLabels[caption.status]}</span>
+              <span class="caption-label">${this.escapeHTML(caption.label)}</span>
+              ${details ? `<span class="caption-details">${details}</span>` : ''}
+            </div>
+            <div class="caption-url">${this.truncateURL(caption.url, 80)}</div>
+            ${caption.findings.map(finding => `<div class="caption-finding"><i class="fas fa-exclamation-circle"></i> ${this.escapeHTML(finding)}</div>`).join('')}
+          </li>
+        `;
+      });
+      html += '</ul>';
+
+      if (issues === 0 && readable.length === detail.captions.length) {
+        html += '<div class="caption-note ok"><i class="fas fa-check-circle"></i> Every caption file loaded and fits the video duration</div>';
+      }
+    }
+
+    this.captionPanel.innerHTML = html;
+  }
+
+  /**
+   * Display the live viewability meter of the ad in the player
+   * @param {Object} measurement - ViewabilityMonitor state with the ad's verdict
+   */
+  displayViewability(measurement) {
+    const labels = {
+      Viewable: 'Viewable',
+      NotViewable: 'Not Viewable',
+      ViewUndetermined: 'Undetermined',
+      measuring: 'Measuring',
+      viewable: 'Viewable',
+      undetermined: 'Undetermined'
+    };
+    const status = measurement.verdict || measurement.status;
+    const statusClass = status === 'Viewable' || status === 'viewable' ? 'ok' : (status === 'measuring' ? 'pending' : 'failed');
+
+    const seconds = (measurement.continuousMs / 1000).toFixed(1);
+    const requiredSeconds = measurement.minContinuousMs / 1000;
+    const playPercent = Math.min(100, measurement.continuousMs / measurement.minContinuousMs * 100);
+    const inView = measurement.inViewPercent >= measurement.minVisiblePercent;
+
+    let html = `
+      <div class="viewability-header">
+        <strong><i class="fas fa-eye"></i> Viewability (MRC ${measurement.minVisiblePercent}% / ${requiredSeconds}s)</strong>
+        <span class="viewability-status ${statusClass}">${labels[status] || status}</span>
+      </div>
+      <div class="viewability-row">
+        <span class="viewability-label">In view</span>
+        <div class="meter">
+          <div class="meter-fill ${inView ? 'ok' : ''}" style="width: ${measurement.inViewPercent}%"></div>
+          <div class="meter-threshold" style="left: ${measurement.minVisiblePercent}%"></div>
+        </div>
+        <span class="viewability-value">${measurement.inViewPercent}%</span>
+      </div>
+      <div class="viewability-row">
+        <span class="viewability-label">Continuous play</span>
+        <div class="meter">
+          <div class="meter-fill ${playPercent >= 100 ? 'ok' : ''}" style="width: ${playPercent}%"></div>
+        </div>
+        <span class="viewability-value">${seconds}s / ${requiredSeconds}s</span>
+      </div>
+    `;
+
+    if (!measurement.pageVisible) {
+      html += `<div class="viewability-note"><i class="fas fa-eye-slash"></i> Page hidden: the ad counts as out of view</div>`;
+    } else if (measurement.status === 'measuring' && !measurement.playing) {
+      html += `<div class="viewability-note"><i class="fas fa-pause"></i> Not playing: continuous play time is reset</div>`;
+    }
+
+    this.viewabilityMeter.innerHTML = html;
+  }
+
   /**
    * Update tracking pixels display
    */
@@ -520,11 +1485,26 @@ class UIController {
     const event = e.detail;
     this.addEventLog(event);
 
+    // Show where the skip became available (publisher skip rule checks)
+    if (event.type === 'skip-available') {
+      const skipAvailableAt = document.getElementById('skip-available-at');
+      if (skipAvailableAt) {
+        skipAvailableAt.textContent = `${event.currentTime.toFixed(2)}s of video`;
+      }
+    }
+
+    // Mark the rendition in the player (picked, selected or fallback)
+    if (event.type === 'rendition') {
+      this.highlightActiveMediaFile();
+    }
+
     // Update tracking displays when new trackers fire
-    if (event.type === 'tracking') {
+    if (event.type === 'tracking' || event.type === 'error-tracking') {
       this.updateTrackingPixels();
-      this.displayTrackingURLs(this.parser.getTrackingURLs());
+      this.displayTrackingURLs(this.currentResult ? this.currentResult.tracking : this.parser.getTrackingURLs());
     }
+
+    this.scheduleHistorySave();
   }
 
   /**
@@ -566,7 +1546,18 @@ class UIController {
    * Clear all displays
    */
   clearDisplays() {
+    if (this.probe) {
+      this.probe.cancel();
+      this.probe = null;
+    }
+    this.probeTargets = [];
+    this.probeResults = new Map();
+    this.pickTargets = [];
+    this.currentResult = null;
+    this.shownAd = null;
     this.vastInfoDiv.innerHTML = '';
+    this.lintFindingsDiv.innerHTML = '';
+    this.verificationsDiv.innerHTML = '';
     this.trackingDiv.innerHTML = '';
     this.pixelsDiv.innerHTML = '';
   }
@@ -575,29 +1566,1209 @@ class UIController {
    * Clear all
    */
   clearAll() {
+    if (this.batch) return;
+
+    // Saved runs stay in the history
+    this.saveHistory();
+    this.historyRun = null;
+    this.openedRun = null;
+    this.updateExportButtons();
+
     this.clearDisplays();
     this.eventLogDiv.innerHTML = '';
     this.statusDiv.textContent = '';
     this.player.reset();
     this.tracker.reset();
+    this.viewabilityMeter.innerHTML = '';
+    this.captionPanel.innerHTML = '';
   }
 
   /**
-   * Truncate URL for display
+   * Parse both compare inputs and show what changed between them
+   * Each side gets its own parser so the tested ad is left alone; a value that
+   * starts with "<" is XML, anything else a tag URL.
    */
-  truncateURL(url, maxLength = 80) {
-    if (!url) return '';
+  async compareResponses() {
+    const inputs = [this.compareLeftInput.value.trim(), this.compareRightInput.value.trim()];
+    if (inputs.some(input => !input)) {
+      this.compareResultDiv.innerHTML = '<p class="compare-error">Enter a VAST URL or XML on both sides</p>';
+      return;
+    }
+
+    this.compareButton.disabled = true;
+    this.compareResultDiv.innerHTML = '<p class="compare-loading"><i class="fas fa-spinner fa-spin"></i> Loading both responses...</p>';
 
-    // Decode URL for better readability
     try {
-      url = decodeURIComponent(url);
-    } catch (e) {
-      // If decoding fails, use original URL
-      console.warn('Failed to decode URL:', url);
+      const results = await Promise.all(inputs.map(input => {
+        const parser = new VASTParser();
+        parser.maxWrapperDepth = parseInt(this.maxWrapperDepthInput.value) || 5;
+        return parser.parse(input, input.startsWith('<'));
+      }));
+      this.displayComparison(results[0], results[1]);
+    } catch (error) {
+      console.error('Compare error:', error);
+      this.compareResultDiv.innerHTML = `<p class="compare-error">Error: ${this.escapeHTML(error.message)}</p>`;
+    } finally {
+      this.compareButton.disabled = false;
     }
+  }
 
-    if (url.length <= maxLength) return url;
-    return url.substring(0, maxLength - 3) + '...';
+  /**
+   * Display the semantic diff next to the raw XML diff of each document
+   * @param {Object} left - Parse result of the first input
+   * @param {Object} right - Parse result of the second input
+   */
+  displayComparison(left, right) {
+    const failures = [['Before', left], ['After', right]]
+      .filter(([, result]) => !result.success)
+      .map(([side, result]) => `<p class="compare-error">${side}: ${result.errorCode ? `[VAST ${result.errorCode}] ` : ''}${this.escapeHTML(result.error)}</p>`);
+
+    // A failed side still has the documents received before the failure
+    const semantic = failures.length === 0
+      ? this.renderSemanticDiff(VASTDiff.compare(left.data.ads, right.data.ads), left, right)
+      : failures.join('');
+
+    const depths = Math.max(left.responses.length, right.responses.length);
+    let raw = '';
+    for (let depth = 0; depth < depths; depth++) {
+      raw += this.renderRawDiff(left.responses[depth], right.responses[depth], depth);
+    }
+
+    this.compareResultDiv.innerHTML = `
+      <div class="compare-columns">
+        <div class="compare-column">
+          <h3><i class="fas fa-list-check"></i> What changed</h3>
+          ${semantic}
+        </div>
+        <div class="compare-column">
+          <h3><i class="fas fa-code"></i> Raw XML</h3>
+          ${raw || '<p class="compare-empty">No documents received</p>'}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Semantic diff: one block per ad with its field, creative, MediaFile and tracking changes
+   */
+  renderSemanticDiff(adDiffs, left, right) {
+    const count = status => adDiffs.filter(d => d.status === status).length;
+    const changes = adDiffs.reduce((total, d) => total + d.changes.length, 0);
+    const versions = left.version === right.version
+      ? `VAST ${this.escapeHTML(left.version)}`
+      : `VAST ${this.escapeHTML(left.version)} → ${this.escapeHTML(right.version)}`;
+
+    let html = `
+      <div class="stats">
+        <span><i class="fas fa-file-code"></i> ${versions}</span>
+        <span class="success"><i class="fas fa-plus"></i> Ads added: ${count('added')}</span>
+        <span class="failed"><i class="fas fa-minus"></i> Ads removed: ${count('removed')}</span>
+        <span class="warning"><i class="fas fa-pen"></i> Changes: ${changes}</span>
+      </div>
+    `;
+
+    if (changes === 0 && count('added') === 0 && count('removed') === 0) {
+      return html + '<p class="lint-clean"><i class="fas fa-check-circle"></i> Same ads, creatives, media files and trackers (cache-busters ignored)</p>';
+    }
+
+    const value = v => v === null || v === undefined || v === '' ? '<em>none</em>' : this.escapeHTML(String(v));
+
+    adDiffs.forEach(adDiff => {
+      html += `
+        <div class="diff-ad diff-${adDiff.status}">
+          <div class="diff-ad-header">
+            <strong>Ad ${this.escapeHTML(adDiff.id)}</strong>
+            <span class="diff-status">${adDiff.status}</span>
+          </div>
+      `;
+
+      if (adDiff.changes.length > 0) {
+        html += '<ul class="diff-list">';
+        adDiff.changes.forEach(change => {
+          let detail = '';
+          if (change.status === 'changed') {
+            detail = `<div class="diff-values"><span class="diff-from">${value(change.from)}</span> → <span class="diff-to">${value(change.to)}</span></div>`;
+          } else if (change.from || change.to) {
+            detail = `<div class="diff-url">${this.escapeHTML(change.from || change.to)}</div>`;
+          }
+          html += `
+            <li class="diff-change diff-${change.status}">
+              <span class="diff-kind">${change.kind === 'mediaFile' ? 'MediaFile' : change.kind}</span>
+              <span class="diff-label">${this.escapeHTML(change.label)}</span>
+              ${detail}
+            </li>
+          `;
+        });
+        html += '</ul>';
+      }
+      html += '</div>';
+    });
+
+    return html;
+  }
+
+  /**
+   * Side-by-side line diff of the documents received at one wrapper depth
+   * @param {Object|undefined} left - Response of the first input ({ url, depth, xml })
+   * @param {Object|undefined} right - Response of the second input
+   * @param {number} depth - Wrapper depth (0 is the tag itself)
+   */
+  renderRawDiff(left, right, depth) {
+    const title = depth === 0 ? 'VAST tag' : `Wrapper hop ${depth}`;
+    const diff = VASTDiff.diffXML(left ? left.xml : '', right ? right.xml : '');
+
+    if (!diff) {
+      return `<div class="raw-diff"><h4>${title}</h4><p class="compare-empty">Documents are too large to compare line by line</p></div>`;
+    }
+
+    const changed = diff.filter(line => line.type !== 'same').length;
+    const cell = (text, side) => text === null
+      ? '<td class="raw-diff-blank"></td>'
+      : `<td class="raw-diff-${side}">${this.escapeHTML(text)}</td>`;
+
+    const rows = VASTDiff.sideBySide(diff).map(row => {
+      if (row.type === 'fold') {
+        return `<tr class="raw-diff-fold"><td colspan="2">⋯ ${row.count} unchanged line${row.count === 1 ? '' : 's'}</td></tr>`;
+      }
+      if (row.type === 'same') {
+        return `<tr>${cell(row.left, 'same')}${cell(row.right, 'same')}</tr>`;
+      }
+      return `<tr>${cell(row.left, 'removed')}${cell(row.right, 'added')}</tr>`;
+    }).join('');
+
+    return `
+      <div class="raw-diff">
+        <h4>${title} <span class="raw-diff-count">${changed === 0 ? 'identical' : `${changed} line${changed === 1 ? '' : 's'} differ`}</span></h4>
+        <div class="raw-diff-scroll">
+          <table class="raw-diff-table">${rows}</table>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Read tags from an uploaded CSV into the batch input
+   */
+  async loadBatchFile() {
+    const file = this.batchFileInput.files[0];
+    if (!file) return;
+
+    this.batchInput.value = await file.text();
+    const count = BatchRunner.parseTags(this.batchInput.value).length;
+    this.batchProgressDiv.textContent = `${file.name}: ${count} tag${count === 1 ? '' : 's'} found`;
+    this.batchFileInput.value = '';
+  }
+
+  /**
+   * Parse and lint every tag of the batch input, one after the other
+   * With auto-play, each ad also plays muted at high speed in the player so
+   * the tracker checklist can be checked; the player and tracker logs are
+   * taken over by the batch.
+   */
+  async runBatch() {
+    const tags = BatchRunner.parseTags(this.batchInput.value);
+    if (tags.length === 0) {
+      this.batchProgressDiv.textContent = 'No tag URL found: paste one per line or a CSV with a tag column';
+      return;
+    }
+
+    const autoplay = this.batchAutoplayInput.checked;
+    if (autoplay) {
+      // The run on display is complete: keep it in the history before the player is reused
+      this.saveHistory();
+      this.historyRun = null;
+      this.openedRun = null;
+      this.updateExportButtons();
+      this.clearDisplays();
+      this.statusDiv.textContent = '';
+    }
+
+    const batch = new BatchRunner({
+      maxWrapperDepth: parseInt(this.maxWrapperDepthInput.value) || 5,
+      play: autoplay ? (result) => this.playBatchResult(result) : null
+    });
+    this.batch = batch;
+    this.batchRows = [];
+    this.batchTotal = tags.length;
+    this.batchStartedAt = new Date().toISOString();
+    this.batchSort = { key: 'index', ascending: true };
+    this.updateBatchControls();
+    this.renderBatchTable();
+
+    const video = this.videoElement;
+    const wasMuted = video.muted;
+
+    try {
+      await batch.runAll(tags, (row) => {
+        // The parse model is only needed to play the ad; the table keeps the summary
+        this.batchRows.push({ ...row, result: null });
+        this.renderBatchTable();
+      });
+    } catch (error) {
+      console.error('Batch error:', error);
+      this.batchProgressDiv.textContent = `Batch stopped: ${error.message}`;
+    } finally {
+      if (autoplay) {
+        this.player.reset();
+        video.defaultPlaybackRate = 1;
+        video.playbackRate = 1;
+        video.muted = wasMuted;
+      }
+      if (this.batch === batch) {
+        this.batch = null;
+      }
+      this.updateBatchControls();
+      this.renderBatchTable();
+    }
+  }
+
+  /**
+   * Stop the batch after the tag in progress
+   */
+  stopBatch() {
+    if (this.batch) {
+      this.batch.cancel();
+    }
+  }
+
+  /**
+   * Play a parsed tag muted at the batch speed until its ad break ends
+   * @param {Object} result - Parse result
+   * @returns {Promise<Array>} Tracker log of the playback
+   */
+  async playBatchResult(result) {
+    const rate = parseFloat(this.batchSpeedSelect.value) || 1;
+    const video = this.videoElement;
+
+    this.player.reset();
+    this.tracker.reset();
+    this.tracker.macroOverrides = this.parseMacroOverrides(this.macroOverridesInput.value);
+    this.player.deviceProfile = this.deviceProfileSelect.value;
+    this.player.contentVideoURL = this.getContentVideoURL();
+
+    // A new source resets playbackRate to the default rate
+    video.muted = true;
+    video.defaultPlaybackRate = rate;
+    video.playbackRate = rate;
+
+    if (this.player.loadAd(result.data, result.tracking)) {
+      // Declared durations at the batch speed, plus time to load each MediaFile
+      const seconds = result.data.ads
+        .filter(ad => ad.inline)
+        .flatMap(ad => ad.inline.creatives.filter(c => c.type === 'linear'))
+        .reduce((total, c) => total + (MediaProbe.parseDuration(c.data.duration) || 30), 0);
+      this.player.play();
+      await this.waitForAdBreak((seconds / rate + this.player.mediaTimeoutMs / 1000 + 5) * 1000);
+    }
+
+    this.player.reset();
+    return this.tracker.getLog().slice();
+  }
+
+  /**
+   * Resolve when the player finished its ad break, the batch was stopped or time ran out
+   * @param {number} timeoutMs - Longest wait
+   */
+  waitForAdBreak(timeoutMs) {
+    return new Promise(resolve => {
+      const started = Date.now();
+      const timer = setInterval(() => {
+        const stopped = !this.batch || this.batch.cancelled;
+        if (this.player.sessionFinished || stopped || Date.now() - started > timeoutMs) {
+          clearInterval(timer);
+          resolve();
+        }
+      }, 250);
+    });
+  }
+
+  /**
+   * Enable the batch buttons that apply
+   */
+  updateBatchControls() {
+    const running = !!this.batch;
+    this.batchRunButton.disabled = running;
+    this.batchStopButton.disabled = !running;
+    this.batchExportButton.disabled = running || this.batchRows.length === 0;
+
+    // The inspector controls that drive the player and tracker wait for the batch
+    this.testButton.disabled = running;
+    this.clearButton.disabled = running;
+    this.vastInfoDiv.querySelectorAll('.pick-button').forEach(button => {
+      button.disabled = running;
+    });
+    if (this.history) {
+      this.renderHistory();
+    }
+  }
+
+  /**
+   * Render the batch summary and its table in the current sort order
+   */
+  renderBatchTable() {
+    const rows = this.getSortedBatchRows();
+    const played = rows.filter(row => row.checklist);
+    const failed = rows.filter(row => !row.success).length;
+    const linted = rows.filter(row => row.lintErrors > 0).length;
+
+    let progress = `${rows.length} / ${this.batchTotal} tag${this.batchTotal === 1 ? '' : 's'}`;
+    if (this.batch) progress += this.batch.cancelled ? ' · stopping...' : ' · running...';
+    progress += ` · ${failed} failed · ${linted} with lint errors`;
+    if (played.length > 0) {
+      progress += ` · tracker checklist met ${played.filter(row => row.checklist.met).length} / ${played.length}`;
+    }
+    this.batchProgressDiv.textContent = progress;
+
+    if (rows.length === 0) {
+      this.batchTableDiv.innerHTML = '';
+      return;
+    }
+
+    const columns = [
+      ['index', '#'],
+      ['name', 'Placement'],
+      ['version', 'Version'],
+      ['wrapperDepth', 'Wrapper depth'],
+      ['mediaCount', 'Media files'],
+      ['durationSeconds', 'Duration'],
+      ['lintErrors', 'Lint errors'],
+      ['checklist', 'Trackers']
+    ];
+    const arrow = key => this.batchSort.key === key ? (this.batchSort.ascending ? ' ▲' : ' ▼') : '';
+    const sort = key => this.batchSort.key === key ? (this.batchSort.ascending ? 'ascending' : 'descending') : 'none';
+    const value = v => v === null || v === undefined ? '<span class="batch-none">–</span>' : this.escapeHTML(String(v));
+
+    let html = `
+      <div class="batch-table-scroll">
+        <table class="batch-table">
+          <thead>
+            <tr>
+              ${columns.map(([key, label]) => `<th data-sort="${key}" aria-sort="${sort(key)}">${label}${arrow(key)}</th>`).join('')}
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+    `;
+
+    rows.forEach(row => {
+      const position = this.batchRows.indexOf(row);
+      const error = row.success ? '' : `<div class="batch-error">${row.errorCode ? `[VAST ${row.errorCode}] ` : ''}${this.escapeHTML(row.error || 'Failed')}</div>`;
+
+      let checklist = '<span class="batch-none" title="Not played">–</span>';
+      if (row.checklist) {
+        checklist = row.checklist.met
+          ? '<span class="batch-met"><i class="fas fa-check-circle"></i> Met</span>'
+          : `<span class="batch-missed" title="${this.escapeHTML(row.checklist.missing.join('\n'))}"><i class="fas fa-times-circle"></i> ${row.checklist.missing.length} missing</span>`;
+      }
+
+      html += `
+        <tr class="${row.success ? '' : 'batch-failed'}">
+          <td>${row.index + 1}</td>
+          <td class="batch-tag">
+            ${row.name ? `<div class="batch-name">${this.escapeHTML(row.name)}</div>` : ''}
+            <div class="batch-url" title="${this.escapeHTML(row.tag)}">${this.escapeHTML(this.truncateURL(row.tag, 70))}</div>
+            ${error}
+          </td>
+          <td>${value(row.version)}</td>
+          <td>${value(row.wrapperDepth)}</td>
+          <td>${value(row.mediaCount)}</td>
+          <td>${value(row.duration)}</td>
+          <td class="${row.lintErrors > 0 ? 'batch-lint-errors' : ''}" title="${row.lintWarnings} warning${row.lintWarnings === 1 ? '' : 's'}">${row.lintErrors}</td>
+          <td>${checklist}</td>
+          <td><button type="button" class="pick-button batch-open" data-batch-row="${position}" ${this.batch ? 'disabled' : ''} title="Test this tag in the inspector"><i class="fas fa-search"></i> Test</button></td>
+        </tr>
+      `;
+    });
+
+    html += '</tbody></table></div>';
+    this.batchTableDiv.innerHTML = html;
+  }
+
+  /**
+   * Batch rows in the chosen sort order (rows without a value last)
+   * @returns {Array}
+   */
+  getSortedBatchRows() {
+    const { key, ascending } = this.batchSort;
+    const sortValue = row => {
+      if (key === 'checklist') return row.checklist ? (row.checklist.met ? 1 : 0) : null;
+      if (key === 'name') return (row.name || row.tag).toLowerCase();
+      if (key === 'version') return row.version === null ? null : parseFloat(row.version);
+      return row[key];
+    };
+
+    return this.batchRows.slice().sort((a, b) => {
+      const x = sortValue(a);
+      const y = sortValue(b);
+      if (x === y) return a.index - b.index;
+      if (x === null || x === undefined) return 1;
+      if (y === null || y === undefined) return -1;
+      return (x < y ? -1 : 1) * (ascending ? 1 : -1);
+    });
+  }
+
+  /**
+   * Test one tag of the batch in the inspector
+   * @param {Object} row - Batch row
+   */
+  openBatchRow(row) {
+    if (!row || this.batch) return;
+
+    this.urlRadio.checked = true;
+    this.updateInputMode();
+    this.urlInput.value = row.tag;
+    this.testAd();
+    this.urlInput.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  /**
+   * Download the batch table as CSV, in the order shown
+   */
+  exportBatch() {
+    if (this.batchRows.length === 0) return;
+
+    const fileName = SessionExporter.fileName(this.batchStartedAt, 'csv', 'vast-batch');
+    this.downloadFile(SessionExporter.toBatchCSV(this.getSortedBatchRows()), fileName, 'text/csv');
+  }
+
+  /**
+   * Read macro overrides typed as "NAME=value; [OTHER]=value"
+   * Names other than letters, digits and _ are ignored.
+   * @param {string} text - Overrides field
+   * @returns {Object} Macro name (uppercase, without brackets) -> value
+   */
+  parseMacroOverrides(text) {
+    const overrides = {};
+    text.split(/[;\n]/).forEach(entry => {
+      const separator = entry.indexOf('=');
+      if (separator === -1) return;
+      const name = entry.substring(0, separator).trim().replace(/^\[|\]$/g, '').toUpperCase();
+      if (MACRO_NAME.test(name)) {
+        overrides[name] = entry.substring(separator + 1).trim();
+      } else if (name) {
+        console.warn(`Macro override "${name}" ignored: names are letters, digits and _`);
+      }
+    });
+    return overrides;
+  }
+
+  /**
+   * Write macro overrides back as the overrides field text
+   */
+  formatMacroOverrides(overrides) {
+    return Object.entries(overrides).map(([name, value]) => `${name}=${value}`).join('; ');
+  }
+
+  /**
+   * Test input as entered, for a permalink
+   */
+  getPermalinkState() {
+    return {
+      mode: this.inputMode,
+      input: (this.inputMode === 'url' ? this.urlInput : this.xmlInput).value.trim(),
+      deviceProfile: this.deviceProfileSelect.value,
+      maxWrapperDepth: parseInt(this.maxWrapperDepthInput.value) || 5,
+      macroOverrides: this.parseMacroOverrides(this.macroOverridesInput.value)
+    };
+  }
+
+  /**
+   * Write the test input into the URL fragment (without a history entry)
+   * @returns {Promise<string>} Link to this test
+   */
+  async updatePermalink() {
+    const fragment = await Permalink.encode(this.getPermalinkState());
+    history.replaceState(null, '', `#${fragment}`);
+    return window.location.href;
+  }
+
+  /**
+   * Copy a link to the test input to the clipboard
+   */
+  async copyPermalink() {
+    if (!this.getPermalinkState().input) {
+      this.showStatus('Please enter a VAST URL or XML to share', 'error');
+      return;
+    }
+
+    const link = await this.updatePermalink();
+    try {
+      await navigator.clipboard.writeText(link);
+      this.showStatus(`Link copied (${link.length} characters): it holds the tag, the input mode, the device profile and the macro overrides`, 'success');
+    } catch (error) {
+      // No clipboard access (insecure origin or denied): the address bar has the link
+      this.showStatus('The link is in the address bar: copy it from there', 'info');
+    }
+  }
+
+  /**
+   * Restore the test input from a permalink in the URL fragment
+   */
+  async restoreFromPermalink() {
+    let state;
+    try {
+      state = await Permalink.decode(window.location.hash);
+    } catch (error) {
+      this.showStatus(`The link could not be read: ${error.message}`, 'error');
+      return;
+    }
+    if (!state) return;
+
+    (state.mode === 'xml' ? this.xmlRadio : this.urlRadio).checked = true;
+    this.updateInputMode();
+    (state.mode === 'xml' ? this.xmlInput : this.urlInput).value = state.input;
+    if (DEVICE_PROFILES[state.deviceProfile]) {
+      this.deviceProfileSelect.value = state.deviceProfile;
+    }
+    if (state.maxWrapperDepth) {
+      this.maxWrapperDepthInput.value = state.maxWrapperDepth;
+    }
+    this.macroOverridesInput.value = this.formatMacroOverrides(state.macroOverrides || {});
+
+    this.showStatus('Test restored from the link. Click "Test Ad" to run it.', 'info');
+  }
+
+  /**
+   * Start recording a run in the history and save it
+   * @param {string} input - VAST tag URL or XML as entered
+   * @param {Object} result - Parse result
+   */
+  recordRun(input, result) {
+    const inlineAd = result.success ? result.data.ads.find(ad => ad.inline) : null;
+
+    this.openedRun = null;
+    this.historyRun = {
+      createdAt: new Date().toISOString(),
+      inputMode: this.inputMode,
+      input,
+      deviceProfile: this.player.deviceProfile,
+      macroOverrides: { ...this.tracker.macroOverrides },
+      success: result.success,
+      error: result.error || null,
+      errorCode: result.errorCode || null,
+      version: result.version || null,
+      title: inlineAd ? inlineAd.inline.adTitle : null,
+      adCount: result.success ? result.data.ads.length : 0,
+      responses: result.responses || [],
+      result: result.success
+        ? { version: result.version, data: result.data, tracking: result.tracking, xmlAutoFixed: result.xmlAutoFixed }
+        : null,
+      eventLog: [],
+      trackerLog: []
+    };
+
+    this.saveHistory();
+    this.updateExportButtons();
+  }
+
+  /**
+   * Save the run in progress a moment after its logs stop changing
+   */
+  scheduleHistorySave() {
+    if (!this.historyRun) return;
+    clearTimeout(this.historySaveTimer);
+    this.historySaveTimer = setTimeout(() => this.saveHistory(), 1000);
+  }
+
+  /**
+   * Save the run in progress with its logs as they are now
+   * @returns {Promise} Resolves once written
+   */
+  saveHistory() {
+    clearTimeout(this.historySaveTimer);
+    this.historySaveTimer = null;
+
+    const run = this.historyRun;
+    if (!this.history || !run) return this.historySaving;
+
+    Object.assign(run, this.getRunLogs());
+
+    // Chained so that the first save has assigned the id before the next one
+    this.historySaving = this.historySaving
+      .then(async () => {
+        run.id = await this.history.save(run);
+        await this.loadHistory();
+      })
+      .catch(error => {
+        console.warn('Run not saved to the history:', error);
+        this.historyQuota.innerHTML = `<span class="history-error"><i class="fas fa-exclamation-triangle"></i> Run not saved: ${this.escapeHTML(error.message || error.name)}</span>`;
+      });
+    return this.historySaving;
+  }
+
+  /**
+   * Event log and tracker log of the run in progress
+   * @returns {Object} { eventLog, trackerLog }
+   */
+  getRunLogs() {
+    return {
+      eventLog: this.player.getEventLog().slice(this.runLogStart.events),
+      trackerLog: this.tracker.getLog().slice(this.runLogStart.trackers)
+    };
+  }
+
+  /**
+   * The run on display with its logs: the run in progress or a reopened one
+   * @returns {Object|null} Run record
+   */
+  getSessionRun() {
+    if (this.historyRun) {
+      return { ...this.historyRun, ...this.getRunLogs() };
+    }
+    return this.openedRun;
+  }
+
+  /**
+   * Download the run on display as JSON, CSV or HAR
+   * @param {string} format - 'json', 'csv' or 'har'
+   */
+  exportSession(format) {
+    const run = this.getSessionRun();
+    if (!run) {
+      this.showStatus('Test an ad or reopen a run before exporting', 'error');
+      return;
+    }
+
+    const exporters = {
+      json: { write: SessionExporter.toJSON, type: 'application/json' },
+      csv: { write: SessionExporter.toCSV, type: 'text/csv' },
+      har: { write: SessionExporter.toHAR, type: 'application/json' }
+    };
+    const exporter = exporters[format];
+    const fileName = SessionExporter.fileName(run.createdAt, format);
+    this.downloadFile(exporter.write(run), fileName, exporter.type);
+  }
+
+  /**
+   * Download the run on display as a self-contained HTML report
+   */
+  exportReport() {
+    const run = this.getSessionRun();
+    if (!run) {
+      this.showStatus('Test an ad or reopen a run before creating a report', 'error');
+      return;
+    }
+    this.downloadFile(this.generateReport(run), SessionExporter.fileName(run.createdAt, 'html', 'vast-report'), 'text/html');
+  }
+
+  /**
+   * Build the report of a run as one offline HTML file (inline CSS, no web
+   * fonts or icon font) with the data of the live panels: the tag, the
+   * wrapper chain and media files of each ad, lint findings, the trackers
+   * that fired and never fired, and a timeline
+   * @param {Object} run - Run record with its logs
+   * @returns {string} HTML document
+   */
+  generateReport(run) {
+    const esc = (value) => this.escapeHTML(value);
+    const profile = DEVICE_PROFILES[run.deviceProfile];
+    const title = run.success
+      ? (run.result.data.ads.find(ad => ad.inline) || { inline: { adTitle: null } }).inline.adTitle || 'Untitled ad'
+      : 'Failed VAST request';
+
+    const status = run.success
+      ? `<span class="status ok">VAST ${esc(run.result.version)} loaded${run.result.xmlAutoFixed ? ' (invalid XML was auto-fixed)' : ''}</span>`
+      : `<span class="status failed">Error${run.errorCode ? ` [VAST ${esc(run.errorCode)}]` : ''}: ${esc((run.error || '').split('\n')[0])}</span>`;
+
+    let body = `
+      <header>
+        <h1>VAST Inspector report: ${esc(title)}</h1>
+        <div class="meta">Tested ${esc(new Date(run.createdAt).toLocaleString())}${profile ? ` · Device profile: ${esc(profile.name)}` : ''} · Report created ${esc(new Date().toLocaleString())}</div>
+        ${status}
+      </header>
+      ${this.renderReportInput(run)}
+    `;
+
+    if (run.success) {
+      run.result.data.ads.forEach(ad => {
+        body += this.renderReportAd(ad);
+      });
+      body += this.renderReportLint(this.linter.lint(run.responses));
+      body += this.renderReportTrackers(run.result.tracking, run.trackerLog);
+    }
+    body += this.renderReportTimeline(run.eventLog, run.trackerLog);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>VAST report - ${esc(title)}</title>
+  <style>${REPORT_STYLES}</style>
+</head>
+<body>
+<main>
+${body}
+<footer>Created with ${esc(EXPORT_CREATOR.name)} ${esc(EXPORT_CREATOR.version)}</footer>
+</main>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Report section: the tag as entered and the documents received
+   */
+  renderReportInput(run) {
+    const esc = (value) => this.escapeHTML(value);
+    let html = '<section><h2>Tag tested</h2>';
+
+    if (run.inputMode === 'xml') {
+      html += `<details><summary>Pasted VAST XML (${run.input.length} characters)</summary><pre>${esc(run.input)}</pre></details>`;
+    } else {
+      html += `<p class="url">${esc(run.input)}</p>`;
+    }
+
+    const requested = run.responses.filter(response => response.url);
+    if (requested.length > 0) {
+      html += '<h3>Requests</h3><table><tr><th>Depth</th><th>URL</th><th>Latency</th><th>Size</th></tr>';
+      requested.forEach(response => {
+        html += `<tr><td>${response.depth}</td><td class="url">${esc(response.url)}</td><td>${response.latency !== null && response.latency !== undefined ? `${response.latency}ms` : 'N/A'}</td><td>${response.xml.length} chars</td></tr>`;
+      });
+      html += '</table>';
+    }
+
+    return html + '</section>';
+  }
+
+  /**
+   * Report section: one ad with its wrapper chain and media files
+   */
+  renderReportAd(ad) {
+    const esc = (value) => this.escapeHTML(value);
+    const linear = ad.inline && ad.inline.creatives.find(c => c.type === 'linear');
+
+    let html = `<section><h2>Ad ${esc(ad.id)}${ad.inline ? `: ${esc(ad.inline.adTitle || 'Untitled')}` : ''}</h2><dl>`;
+    html += `<dt>Type</dt><dd>${esc(ad.type)}${ad.sequence ? ` (sequence ${esc(ad.sequence)})` : ''}</dd>`;
+    if (ad.inline) {
+      html += `<dt>Ad System</dt><dd>${esc(ad.inline.adSystem || 'N/A')}</dd>`;
+      html += `<dt>Creatives</dt><dd>${ad.inline.creatives.map(c => esc(c.type)).join(', ') || 'None'}</dd>`;
+    }
+    if (linear) {
+      html += `<dt>Duration</dt><dd>${esc(linear.data.duration || 'N/A')}</dd>`;
+      html += `<dt>Skippable</dt><dd>${linear.data.skipoffset ? `Yes (skipoffset ${esc(linear.data.skipoffset)})` : 'No'}</dd>`;
+    }
+    html += '</dl>';
+
+    // Wrapper chain
+    const chain = ad.wrapperChain || [];
+    if (ad.wrapper || chain.length > 1) {
+      html += '<h3>Wrapper chain</h3><table><tr><th>#</th><th>Type</th><th>Ad System</th><th>URL</th><th>Latency</th><th>Status</th></tr>';
+      chain.forEach(hop => {
+        const failed = hop.status !== 'ok';
+        html += `
+          <tr>
+            <td>${hop.depth}</td>
+            <td>${esc(hop.type || 'request')}</td>
+            <td>${esc(hop.adSystem || 'N/A')}</td>
+            <td class="url">${hop.url ? esc(hop.url) : '(pasted XML)'}</td>
+            <td>${hop.latency !== null ? `${hop.latency}ms` : 'N/A'}</td>
+            <td class="${failed ? 'failed' : 'ok'}">${esc(hop.status)}${hop.error ? `: ${esc(hop.error)}` : ''}</td>
+          </tr>
+        `;
+      });
+      html += '</table>';
+      if (ad.resolveError) {
+        html += `<p class="failed">Wrapper chain not resolved: ${esc(ad.resolveError)}</p>`;
+      }
+    }
+
+    // Media files, ranked for the device profile as in the live list
+    if (linear && linear.data.mediaFiles.length > 0) {
+      const mediaFiles = linear.data.mediaFiles;
+      const rankings = this.player.rankMediaFiles(mediaFiles);
+      const candidates = this.player.getMediaFileCandidates(mediaFiles);
+
+      html += '<h3>Media files</h3><table><tr><th>#</th><th>Type</th><th>Size</th><th>Bitrate</th><th>Delivery</th><th>Selection</th><th>Probe</th><th>URL</th></tr>';
+      mediaFiles.forEach((mf, index) => {
+        const ranking = rankings.find(r => r.mediaFile === mf);
+        let selection;
+        if (mf === candidates[0]) {
+          selection = '<span class="badge ok">Selected</span>';
+        } else if (candidates.includes(mf)) {
+          selection = `<span class="badge">Fallback ${candidates.indexOf(mf)}</span>`;
+        } else {
+          selection = '<span class="badge failed">Not eligible</span>';
+        }
+        if (ranking && ranking.eligible) {
+          selection += ` <span class="muted">score ${ranking.score}</span>`;
+        } else if (ranking) {
+          selection += `<br><span class="muted">${esc((ranking.reasons[ranking.reasons.length - 1] || {}).text || '')}</span>`;
+        }
+
+        html += `
+          <tr>
+            <td>${index + 1}</td>
+            <td>${esc(mf.type || 'unknown')}${mf.apiFramework ? ` (${esc(mf.apiFramework)})` : ''}</td>
+            <td>${esc(mf.width || '?')}x${esc(mf.height || '?')}</td>
+            <td>${mf.bitrate ? `${esc(mf.bitrate)}kbps` : 'N/A'}</td>
+            <td>${esc(mf.delivery || 'N/A')}</td>
+            <td>${selection}</td>
+            <td>${this.renderReportProbe(this.probeResults.get(mf))}</td>
+            <td class="url">${esc(mf.url)}</td>
+          </tr>
+        `;
+      });
+      html += '</table>';
+    }
+
+    return html + '</section>';
+  }
+
+  /**
+   * Report cell: MediaProbe result of a media file
+   */
+  renderReportProbe(result) {
+    if (!result) return '<span class="muted">Not probed</span>';
+
+    const problems = result.findings.filter(f => f.severity !== 'info');
+    const label = {
+      ok: problems.length > 0 ? '<span class="badge warning">Mismatch</span>' : '<span class="badge ok">Matches</span>',
+      unreachable: '<span class="badge failed">Unreachable</span>',
+      skipped: '<span class="badge">Not probed</span>'
+    }[result.status];
+
+    const findings = result.findings.map(f => `<li class="${f.severity}">${this.escapeHTML(f.message)}</li>`).join('');
+    return `${label}${findings ? `<ul>${findings}</ul>` : ''}`;
+  }
+
+  /**
+   * Report section: lint findings of every document received
+   */
+  renderReportLint(findings) {
+    const order = { error: 0, warning: 1, info: 2 };
+    const sorted = findings.slice().sort((a, b) => order[a.severity] - order[b.severity]);
+    const count = severity => findings.filter(f => f.severity === severity).length;
+
+    let html = `<section><h2>Lint findings</h2><p>${count('error')} errors, ${count('warning')} warnings, ${count('info')} info</p>`;
+    if (findings.length === 0) {
+      return html + '<p class="ok">No structural issues found</p></section>';
+    }
+
+    html += '<table><tr><th>Severity</th><th>Rule</th><th>Message</th><th>Path</th><th>Document</th></tr>';
+    sorted.forEach(finding => {
+      html += `
+        <tr>
+          <td><span class="badge ${finding.severity === 'info' ? '' : this.escapeHTML(finding.severity)}">${this.escapeHTML(finding.severity)}</span></td>
+          <td>${this.escapeHTML(finding.rule)}</td>
+          <td>${this.escapeHTML(finding.message)}</td>
+          <td><code>${this.escapeHTML(finding.path)}</code></td>
+          <td class="url">${finding.source ? this.escapeHTML(finding.source) : 'pasted XML'}</td>
+        </tr>
+      `;
+    });
+    return html + '</table></section>';
+  }
+
+  /**
+   * Report section: every tracking URL of the response, fired or never fired
+   * @param {Object} tracking - Tracking URLs by category (VASTParser.getTrackingURLs)
+   * @param {Array} trackerLog - Tracker hits of the run
+   */
+  renderReportTrackers(tracking, trackerLog) {
+    const hits = (url) => trackerLog.filter(entry => entry.originalURL === url && entry.status === 'success');
+    const rows = [
+      ...tracking.impressions.map(t => ({ category: 'Impression', name: '', url: t.url || t })),
+      ...tracking.tracking.map(t => ({ category: 'Tracking', name: t.event, url: t.url })),
+      ...tracking.clicks.map(t => ({ category: 'Click', name: t.type || 'click', url: t.url || t })),
+      ...tracking.viewability.map(t => ({ category: 'Viewability', name: t.event, url: t.url })),
+      ...tracking.errors.map(url => ({ category: 'Error', name: '', url }))
+    ].map(row => ({ ...row, hits: hits(row.url) }));
+
+    // The same URL declared twice is one row
+    const unique = rows.filter((row, index) => rows.findIndex(r => r.url === row.url && r.name === row.name) === index);
+    const fired = unique.filter(row => row.hits.length > 0).length;
+
+    let html = `<section><h2>Trackers</h2><p>${fired} of ${unique.length} tracking URLs fired</p>`;
+    html += '<table><tr><th>Category</th><th>Event</th><th>Status</th><th>URL</th></tr>';
+    unique.forEach(row => {
+      const status = row.hits.length > 0
+        ? `<span class="badge ok">Fired${row.hits.length > 1 ? ` ${row.hits.length}x` : ''}</span> <span class="muted">${this.escapeHTML(row.hits[0].videoTime || '')}</span>`
+        : '<span class="badge">Never fired</span>';
+      html += `<tr><td>${row.category}</td><td>${this.escapeHTML(row.name || '')}</td><td>${status}</td><td class="url">${this.escapeHTML(row.url)}</td></tr>`;
+    });
+    return html + '</table></section>';
+  }
+
+  /**
+   * Report section: player events and tracker hits in time order
+   */
+  renderReportTimeline(eventLog, trackerLog) {
+    const entries = [
+      ...eventLog.map(event => ({
+        timestamp: event.timestamp,
+        videoTime: `${(event.currentTime || 0).toFixed(2)}s`,
+        kind: event.type,
+        detail: this.escapeHTML(event.message),
+        className: /error/.test(event.type) ? 'error' : ''
+      })),
+      ...trackerLog.map(entry => ({
+        timestamp: entry.timestamp,
+        videoTime: entry.videoTime ? `${MediaProbe.parseDuration(entry.videoTime).toFixed(2)}s` : '',
+        kind: `pixel: ${entry.type}${entry.event ? ` (${entry.event})` : ''}`,
+        detail: `<span class="url">${this.escapeHTML(entry.url)}</span>${entry.status !== 'success' ? ` <span class="failed">${this.escapeHTML(entry.error || 'failed')}</span>` : ''}`,
+        className: ''
+      }))
+    ].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    let html = `<section><h2>Timeline</h2>`;
+    if (entries.length === 0) {
+      return html + '<p class="muted">No events recorded</p></section>';
+    }
+
+    html += '<table><tr><th>Time</th><th>Video</th><th>Event</th><th>Detail</th></tr>';
+    entries.forEach(entry => {
+      html += `<tr class="${entry.className}"><td>${new Date(entry.timestamp).toLocaleTimeString()}</td><td>${this.escapeHTML(entry.videoTime)}</td><td>${this.escapeHTML(entry.kind)}</td><td>${entry.detail}</td></tr>`;
+    });
+    return html + '</table></section>';
+  }
+
+  /**
+   * Enable the export buttons while there is a run to export
+   */
+  updateExportButtons() {
+    const disabled = !this.historyRun && !this.openedRun;
+    [...Object.values(this.exportButtons), this.reportButton].forEach(button => {
+      button.disabled = disabled;
+    });
+  }
+
+  /**
+   * Save generated content as a file
+   * @param {string} content - File content
+   * @param {string} fileName - Suggested file name
+   * @param {string} type - MIME type
+   */
+  downloadFile(content, fileName, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Firefox and Safari read the blob after the click returns: keep it a while
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_REVOKE_DELAY);
+  }
+
+  /**
+   * Refresh the history sidebar from the database
+   */
+  async loadHistory() {
+    if (!this.history) {
+      this.historyList.innerHTML = '<p class="history-empty">History is not available: this browser has no IndexedDB (private browsing may disable it).</p>';
+      return;
+    }
+
+    try {
+      this.historyRuns = await this.history.list();
+    } catch (error) {
+      this.historyList.innerHTML = `<p class="history-empty">History could not be opened: ${this.escapeHTML(error.message || error.name)}</p>`;
+      return;
+    }
+
+    this.renderHistory();
+    this.displayHistoryQuota(await this.history.estimate());
+  }
+
+  /**
+   * Render the runs matching the search box, newest first
+   */
+  renderHistory() {
+    const runs = this.historyRuns.filter(run => HistoryStore.matches(run, this.historySearch.value));
+    const activeId = this.historyRun ? this.historyRun.id : (this.openedRun && this.openedRun.id);
+
+    if (this.historyRuns.length === 0) {
+      this.historyList.innerHTML = '<p class="history-empty">No runs yet. Every test is saved here.</p>';
+      return;
+    }
+    if (runs.length === 0) {
+      this.historyList.innerHTML = '<p class="history-empty">No run matches the search.</p>';
+      return;
+    }
+
+    this.historyList.innerHTML = runs.map(run => {
+      const profile = DEVICE_PROFILES[run.deviceProfile];
+      const meta = [
+        run.success ? `${run.adCount} ad${run.adCount === 1 ? '' : 's'}` : null,
+        `${run.eventCount} events`,
+        `${run.trackerCount} trackers`,
+        profile ? profile.name : null
+      ].filter(Boolean).join(' · ');
+      const preview = run.inputMode === 'xml' ? run.input.replace(/\s+/g, ' ').substring(0, 70) : this.truncateURL(run.input, 70);
+
+      return `
+        <div class="history-item${run.id === activeId ? ' history-active' : ''}">
+          <div class="history-item-header">
+            <span class="history-status ${run.success ? 'ok' : 'failed'}">${run.success ? `VAST ${this.escapeHTML(run.version || '?')}` : 'Failed'}</span>
+            <span class="history-time">${new Date(run.createdAt).toLocaleString()}</span>
+          </div>
+          <div class="history-title">${this.escapeHTML(run.success ? run.title || 'Untitled' : (run.error || 'Unknown error').split('\n')[0])}</div>
+          <div class="history-input" title="${this.escapeHTML(run.input.substring(0, 500))}">
+            <i class="fas ${run.inputMode === 'xml' ? 'fa-code' : 'fa-link'}"></i> ${this.escapeHTML(preview)}
+          </div>
+          <div class="history-meta">${meta}</div>
+          <div class="history-actions">
+            <button type="button" class="pick-button history-open" data-run-id="${run.id}"${this.batch ? ' disabled' : ''}><i class="fas fa-folder-open"></i> Reopen</button>
+            <button type="button" class="pick-button history-delete" data-run-id="${run.id}"><i class="fas fa-trash"></i> Delete</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Show how much of the origin's storage quota is used
+   * @param {Object|null} estimate - { usage, quota } in bytes
+   */
+  displayHistoryQuota(estimate) {
+    const count = `${this.historyRuns.length} run${this.historyRuns.length === 1 ? '' : 's'} saved`;
+    if (!estimate || !estimate.quota) {
+      this.historyQuota.innerHTML = `<span>${count}</span> <span class="history-quota-text">(storage quota not reported by this browser)</span>`;
+      return;
+    }
+
+    const percent = estimate.usage / estimate.quota * 100;
+    this.historyQuota.innerHTML = `
+      <div class="history-quota-text">${count} · ${this.formatBytes(estimate.usage)} of ${this.formatBytes(estimate.quota)} used (${percent < 0.1 ? '<0.1' : percent.toFixed(1)}%)</div>
+      <div class="meter"><div class="meter-fill${percent < 80 ? ' ok' : ''}" style="width: ${Math.max(percent, 0.5).toFixed(1)}%"></div></div>
+    `;
+  }
+
+  /**
+   * Reopen a past run: its input, VAST details and saved logs are shown as
+   * they were; "Test Ad" runs the tag again as a new run
+   * @param {number} id - Run id
+   */
+  async openRun(id) {
+    if (this.batch) return;
+
+    // The run in progress is complete
+    await this.saveHistory();
+
+    let run;
+    try {
+      run = await this.history.get(id);
+    } catch (error) {
+      this.showStatus(`Run could not be loaded: ${error.message || error.name}`, 'error');
+      return;
+    }
+    if (!run) {
+      this.showStatus('This run is no longer in the history', 'error');
+      this.loadHistory();
+      return;
+    }
+
+    this.historyRun = null;
+    this.openedRun = run;
+    this.updateExportButtons();
+    this.clearDisplays();
+    this.player.reset();
+    this.viewabilityMeter.innerHTML = '';
+    this.captionPanel.innerHTML = '';
+
+    // Input as it was entered
+    (run.inputMode === 'xml' ? this.xmlRadio : this.urlRadio).checked = true;
+    this.updateInputMode();
+    (run.inputMode === 'xml' ? this.xmlInput : this.urlInput).value = run.input;
+    if (DEVICE_PROFILES[run.deviceProfile]) {
+      this.deviceProfileSelect.value = run.deviceProfile;
+      this.player.deviceProfile = run.deviceProfile;
+    }
+    this.macroOverridesInput.value = this.formatMacroOverrides(run.macroOverrides || {});
+
+    // Saved logs
+    this.tracker.restoreLog(run.trackerLog);
+    this.eventLogDiv.innerHTML = '';
+    run.eventLog.forEach(event => this.addEventLog(event));
+    this.updateTrackingPixels();
+
+    const date = new Date(run.createdAt).toLocaleString();
+    if (run.success) {
+      this.currentResult = { success: true, ...run.result, responses: run.responses };
+      this.displayVASTInfo(this.currentResult);
+      this.probeMediaFiles();
+      this.displayLintFindings(this.linter.lint(run.responses), run.responses.length);
+      this.displayVerifications(run.result.data.ads);
+      this.displayTrackingURLs(run.result.tracking);
+      this.showStatus(`Run from ${date} reopened with its saved logs. Click "Test Ad" to run the tag again.`, 'info');
+    } else {
+      const code = run.errorCode ? ` [VAST ${run.errorCode}]` : '';
+      this.displayLintFindings(this.linter.lint(run.responses), run.responses.length);
+      this.showStatus(`Run from ${date} reopened\nError${code}: ${run.error}`, 'error');
+    }
+
+    this.renderHistory();
+  }
+
+  /**
+   * Delete a run from the history
+   * @param {number} id - Run id
+   */
+  async deleteRun(id) {
+    // A deleted run in progress is not saved again
+    if (this.historyRun && this.historyRun.id === id) {
+      this.historyRun = null;
+    }
+    if (this.openedRun && this.openedRun.id === id) {
+      this.openedRun = null;
+    }
+    this.updateExportButtons();
+
+    try {
+      await this.historySaving;
+      await this.history.delete(id);
+    } catch (error) {
+      this.showStatus(`Run could not be deleted: ${error.message || error.name}`, 'error');
+    }
+    this.loadHistory();
+  }
+
+  /**
+   * Format a byte count (B, KB, MB or GB)
+   */
+  formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+  }
+
+  /**
+   * Truncate URL for display
+   */
+  truncateURL(url, maxLength = 80) {
+    if (!url) return '';
+
+    // Decode URL for better readability
+    try {
+      url = decodeURIComponent(url);
+    } catch (e) {
+      // If decoding fails, use original URL
+      console.warn('Failed to decode URL:', url);
+    }
+
+    if (url.length <= maxLength) return url;
+    return url.substring(0, maxLength - 3) + '...';
+  }
+
+  /**
+   * Escape text for safe insertion into HTML
+   */
+  escapeHTML(text) {
+    if (text === null || text === undefined) return '';
+
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
   }
 
   /**
@@ -0,0 +1,348 @@
+/**
+ * VAST Diff - Compares two parsed VAST responses: ads, creatives, media files
+ * and tracking URLs (cache-buster query params ignored), plus a line diff of
+ * the raw XML
+ */
+
+// Query params that change on every request and carry no meaning
+// Generic names such as "t" or "ts" are kept: trackers use them for real values (?t=start)
+const CACHE_BUSTER_PARAMS = /^(cb|cachebuster|cache_buster|cachebusting|correlator|ord|rnd)$/i;
+
+// Line diffs beyond this many cells (lines x lines) are not computed
+const MAX_LINE_DIFF_CELLS = 4000000;
+
+class VASTDiff {
+  /**
+   * Semantic diff of two parsed responses, ad by ad
+   * Ads are matched by id, creatives by id (or type and position), media files
+   * and tracking URLs by URL.
+   * @param {Array} leftAds - Ads of the left response (VASTParser data.ads)
+   * @param {Array} rightAds - Ads of the right response
+   * @returns {Array} [{ id, status, changes: [{ kind, status, label, from, to }] }]
+   *   with status 'added', 'removed', 'changed' or 'unchanged'
+   */
+  static compare(leftAds, rightAds) {
+    // Ads without an id attribute are parsed as "ad-<index>", so they pair by position
+    const pairs = VASTDiff.match(leftAds, rightAds, ad => ad.id);
+
+    return pairs.map(({ key, left, right }) => {
+      if (!left) return { id: key, status: 'added', changes: [] };
+      if (!right) return { id: key, status: 'removed', changes: [] };
+
+      const changes = [
+        ...VASTDiff.compareFields('ad', left, right, {
+          type: ad => ad.type,
+          sequence: ad => ad.sequence,
+          'Ad System': ad => (ad.inline || ad.wrapper || {}).adSystem,
+          'Ad Title': ad => ad.inline && ad.inline.adTitle,
+          'Wrapper hops': ad => (ad.wrapperChain || []).length,
+          'Resolve error': ad => ad.resolveError
+        }),
+        ...VASTDiff.compareCreatives(VASTDiff.creativesOf(left), VASTDiff.creativesOf(right)),
+        ...VASTDiff.compareTracking(VASTDiff.collectTracking(left), VASTDiff.collectTracking(right))
+      ];
+
+      return { id: key, status: changes.length > 0 ? 'changed' : 'unchanged', changes };
+    });
+  }
+
+  /**
+   * Creatives of an ad (an unresolved wrapper keeps its own)
+   */
+  static creativesOf(ad) {
+    const body = ad.inline || ad.wrapper;
+    return body ? body.creatives || [] : [];
+  }
+
+  /**
+   * Pair the items of two lists by key (left order first, then what only the right has)
+   * Each right item pairs once, so items sharing a key pair in order and a
+   * change in how many there are shows as added or removed.
+   * @returns {Array} [{ key, left, right }]
+   */
+  static match(leftItems, rightItems, keyOf) {
+    const rightKeys = rightItems.map(keyOf);
+    const paired = new Set();
+
+    const pairs = leftItems.map((left, index) => {
+      const key = keyOf(left, index);
+      const rightIndex = rightKeys.findIndex((rightKey, i) => rightKey === key && !paired.has(i));
+      if (rightIndex === -1) return { key, left, right: null };
+      paired.add(rightIndex);
+      return { key, left, right: rightItems[rightIndex] };
+    });
+
+    rightItems.forEach((right, index) => {
+      if (!paired.has(index)) {
+        pairs.push({ key: rightKeys[index], left: null, right });
+      }
+    });
+    return pairs;
+  }
+
+  /**
+   * Compare named values of two objects
+   * @param {string} kind - Kind of change reported
+   * @param {Object} getters - Label -> value getter
+   */
+  static compareFields(kind, left, right, getters, prefix = '') {
+    return Object.entries(getters)
+      .map(([label, get]) => ({ label, from: get(left), to: get(right) }))
+      .filter(({ from, to }) => (from === undefined ? null : from) !== (to === undefined ? null : to))
+      .map(({ label, from, to }) => ({ kind, status: 'changed', label: `${prefix}${label}`, from, to }));
+  }
+
+  /**
+   * Creatives and the media files of their Linear part
+   */
+  static compareCreatives(leftCreatives, rightCreatives) {
+    // Creatives without an id are matched by type and position among that type
+    const keyOf = (creatives) => (creative) => creative.id
+      ? `${creative.type} ${creative.id}`
+      : `${creative.type} #${creatives.filter(c => c.type === creative.type).indexOf(creative) + 1}`;
+    const leftKeys = leftCreatives.map(keyOf(leftCreatives));
+    const rightKeys = rightCreatives.map(keyOf(rightCreatives));
+    const pairs = VASTDiff.match(
+      leftCreatives.map((creative, index) => ({ creative, key: leftKeys[index] })),
+      rightCreatives.map((creative, index) => ({ creative, key: rightKeys[index] })),
+      item => item.key
+    );
+
+    return pairs.flatMap(({ key, left, right }) => {
+      if (!left || !right) {
+        return [{ kind: 'creative', status: left ? 'removed' : 'added', label: `Creative ${key}`, from: null, to: null }];
+      }
+
+      const a = left.creative;
+      const b = right.creative;
+      if (a.type !== 'linear') return [];
+
+      return [
+        ...VASTDiff.compareFields('creative', a.data, b.data, {
+          Duration: data => data.duration,
+          skipoffset: data => data.skipoffset,
+          ClickThrough: data => VASTDiff.normalizeURL((data.videoClicks || {}).clickThrough),
+          Icons: data => (data.icons || []).length,
+          ClosedCaptionFiles: data => (data.closedCaptionFiles || []).length
+        }, `Creative ${key}: `),
+        ...VASTDiff.compareMediaFiles(a.data.mediaFiles || [], b.data.mediaFiles || [], `Creative ${key}: `)
+      ];
+    });
+  }
+
+  /**
+   * Media files matched by URL; attribute changes of the same file are listed
+   */
+  static compareMediaFiles(leftFiles, rightFiles, prefix) {
+    const describe = mf => `${mf.type || 'unknown type'} ${mf.width || '?'}x${mf.height || '?'}${mf.bitrate ? ` ${mf.bitrate}kbps` : ''}`;
+    const pairs = VASTDiff.match(leftFiles, rightFiles, mf => VASTDiff.normalizeURL(mf.url));
+
+    return pairs.flatMap(({ key, left, right }) => {
+      if (!left || !right) {
+        const mf = left || right;
+        return [{ kind: 'mediaFile', status: left ? 'removed' : 'added', label: `${prefix}MediaFile ${describe(mf)}`, from: left ? key : null, to: right ? key : null }];
+      }
+      return VASTDiff.compareFields('mediaFile', left, right, {
+        type: mf => mf.type,
+        width: mf => mf.width,
+        height: mf => mf.height,
+        bitrate: mf => mf.bitrate,
+        delivery: mf => mf.delivery,
+        apiFramework: mf => mf.apiFramework
+      }, `${prefix}MediaFile ${key}: `);
+    });
+  }
+
+  /**
+   * Every tracking URL of an ad, with the wrappers' merged in
+   * @returns {Array} [{ label, url }] with cache-busters removed from the URL
+   */
+  static collectTracking(ad) {
+    const body = ad.inline || ad.wrapper;
+    if (!body) return [];
+
+    const entries = [];
+    const add = (label, url) => {
+      if (url) entries.push({ label, url: VASTDiff.normalizeURL(url) });
+    };
+
+    (body.impressions || []).forEach(url => add('Impression', url));
+    (body.errors || []).forEach(url => add('Error', url));
+
+    VASTDiff.creativesOf(ad).forEach(creative => {
+      const data = creative.data || {};
+      (data.trackingEvents || []).forEach(t => add(`Tracking ${t.event}${t.offset ? ` (${t.offset})` : ''}`, t.url));
+      if (data.videoClicks) {
+        (data.videoClicks.clickTracking || []).forEach(url => add('ClickTracking', url));
+      }
+      (data.nonLinears || []).forEach(nl => (nl.clickTracking || []).forEach(url => add('NonLinearClickTracking', url)));
+      (data.companions || []).forEach(companion => {
+        (companion.trackingEvents || []).forEach(t => add(`Companion ${t.event}`, t.url));
+        (companion.clickTracking || []).forEach(url => add('CompanionClickTracking', url));
+      });
+    });
+
+    return entries;
+  }
+
+  /**
+   * Tracking URLs only one side has (a URL declared twice counts twice)
+   */
+  static compareTracking(leftEntries, rightEntries) {
+    return VASTDiff.match(leftEntries, rightEntries, entry => `${entry.label} ${entry.url}`)
+      .filter(({ left, right }) => !left || !right)
+      .map(({ left, right }) => left
+        ? { kind: 'tracking', status: 'removed', label: left.label, from: left.url, to: null }
+        : { kind: 'tracking', status: 'added', label: right.label, from: null, to: right.url });
+  }
+
+  /**
+   * Remove cache-buster query params (cb, correlator, ord, rnd, ...) from a URL
+   * @param {string|null} url - URL as declared
+   * @returns {string|null}
+   */
+  static normalizeURL(url) {
+    if (!url) return url || null;
+
+    const queryStart = url.indexOf('?');
+    if (queryStart === -1) return url;
+
+    const hashStart = url.indexOf('#', queryStart);
+    const query = url.substring(queryStart + 1, hashStart === -1 ? url.length : hashStart);
+    const kept = query.split('&').filter(param => param && !CACHE_BUSTER_PARAMS.test(param.split('=')[0]));
+
+    return url.substring(0, queryStart) + (kept.length > 0 ? `?${kept.join('&')}` : '') + (hashStart === -1 ? '' : url.substring(hashStart));
+  }
+
+  /**
+   * Line diff of two XML documents
+   * Lines are split between tags and trimmed, so re-indenting or minifying a
+   * document does not show as a change.
+   * @param {string} leftXML - Left document
+   * @param {string} rightXML - Right document
+   * @returns {Array|null} [{ type: 'same'|'added'|'removed', text }], or null when too large to compare
+   */
+  static diffXML(leftXML, rightXML) {
+    const lines = xml => xml.replace(/>\s*</g, '>\n<').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    return VASTDiff.diffLines(lines(leftXML), lines(rightXML));
+  }
+
+  /**
+   * Longest-common-subsequence line diff
+   * @param {Array} a - Left lines
+   * @param {Array} b - Right lines
+   * @returns {Array|null} Diff lines, or null when too large to compare
+   */
+  static diffLines(a, b) {
+    // The common head and tail need no table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let end = 0;
+    while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+
+    const left = a.slice(start, a.length - end);
+    const right = b.slice(start, b.length - end);
+    if (left.length * right.length > MAX_LINE_DIFF_CELLS) return null;
+
+    // lengths[i * width + j]: LCS length of left[i:] and right[j:]
+    const width = right.length + 1;
+    const lengths = new Uint32Array((left.length + 1) * width);
+    for (let i = left.length - 1; i >= 0; i--) {
+      for (let j = right.length - 1; j >= 0; j--) {
+        lengths[i * width + j] = left[i] === right[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    const middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < left.length && j < right.length) {
+      if (left[i] === right[j]) {
+        middle.push({ type: 'same', text: left[i] });
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        middle.push({ type: 'removed', text: left[i++] });
+      } else {
+        middle.push({ type: 'added', text: right[j++] });
+      }
+    }
+    while (i < left.length) middle.push({ type: 'removed', text: left[i++] });
+    while (j < right.length) middle.push({ type: 'added', text: right[j++] });
+
+    return [
+      ...a.slice(0, start).map(text => ({ type: 'same', text })),
+      ...middle,
+      ...a.slice(a.length - end).map(text => ({ type: 'same', text }))
+    ];
+  }
+
+  /**
+   * Lay a line diff out in two columns
+   * Removed and added lines in the same run share rows; unchanged runs longer
+   * than twice the context are folded.
+   * @param {Array} diff - Result of diffLines
+   * @param {number} context - Unchanged lines kept around each change
+   * @returns {Array} [{ type: 'same'|'changed'|'fold', left, right, count }]
+   */
+  static sideBySide(diff, context = 3) {
+    const rows = [];
+    let removed = [];
+    let added = [];
+
+    const flushChanges = () => {
+      for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+        rows.push({ type: 'changed', left: k < removed.length ? removed[k] : null, right: k < added.length ? added[k] : null });
+      }
+      removed = [];
+      added = [];
+    };
+
+    diff.forEach(line => {
+      if (line.type === 'removed') {
+        removed.push(line.text);
+      } else if (line.type === 'added') {
+        added.push(line.text);
+      } else {
+        flushChanges();
+        rows.push({ type: 'same', left: line.text, right: line.text });
+      }
+    });
+    flushChanges();
+
+    // Fold unchanged runs, keeping the context next to changes
+    const folded = [];
+    let run = [];
+    const flushRun = (isFirst, isLast) => {
+      const head = isFirst ? 0 : context;
+      const tail = isLast ? 0 : context;
+      if (run.length > head + tail + 1) {
+        folded.push(...run.slice(0, head));
+        folded.push({ type: 'fold', count: run.length - head - tail });
+        folded.push(...run.slice(run.length - tail));
+      } else {
+        folded.push(...run);
+      }
+      run = [];
+    };
+
+    rows.forEach(row => {
+      if (row.type === 'same') {
+        run.push(row);
+      } else {
+        if (run.length > 0) flushRun(folded.length === 0, false);
+        folded.push(row);
+      }
+    });
+    if (run.length > 0) flushRun(folded.length === 0, true);
+
+    return folded;
+  }
+}
+
+// Export for use in the UI
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VASTDiff;
+}
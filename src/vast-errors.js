@@ -0,0 +1,93 @@
+/**
+ * VAST Errors - IAB VAST error codes and the error model shared by the
+ * parser and the player
+ *
+ * Reference: IAB VAST 4.x, section "Error Codes"
+ */
+
+const VAST_ERROR_CODES = {
+  100: 'XML parsing error',
+  101: 'VAST schema validation error',
+  102: 'VAST version of response not supported',
+  200: 'Trafficking error. Video player received an ad type that it was not expecting and/or cannot play',
+  201: 'Video player expecting different linearity',
+  202: 'Video player expecting different duration',
+  203: 'Video player expecting different size',
+  204: 'Ad category was required but not provided',
+  205: 'Inline Category violates Wrapper BlockedAdCategories',
+  206: 'Ad break shortened. Ad was not served',
+  300: 'General Wrapper error',
+  301: 'Timeout of VAST URI provided in Wrapper element, or of VAST URI provided in a subsequent Wrapper element',
+  302: 'Wrapper limit reached, as defined by the video player',
+  303: 'No VAST response after one or more Wrappers',
+  304: 'InLine response returned ad unit that failed to result in ad display within defined time limit',
+  400: 'General Linear error. Video player is unable to display the Linear Ad',
+  401: 'File not found. Unable to find Linear/MediaFile from URI',
+  402: 'Timeout of MediaFile URI',
+  403: "Couldn't find MediaFile that is supported by this video player, based on the attributes of the MediaFile element",
+  405: 'Problem displaying MediaFile. Video player found a MediaFile with supported type but couldn\'t display it',
+  406: 'Mezzanine was required but not provided. Ad not served',
+  407: 'Mezzanine is in the process of being downloaded for the first time',
+  408: 'Conditional ad rejected',
+  409: 'Interactive unit in the InteractiveCreativeFile node was not executed',
+  410: 'Verification unit in the Verification node was not executed',
+  411: 'Mezzanine was provided as required, but file did not meet required specification',
+  500: 'General NonLinearAds error',
+  501: 'Unable to display NonLinear Ad because creative dimensions do not align with creative display area',
+  502: 'Unable to fetch NonLinearAds/NonLinear resource',
+  503: "Couldn't find NonLinear resource with supported type",
+  600: 'General CompanionAds error',
+  601: 'Unable to display Companion because creative dimensions do not fit within Companion display area',
+  602: 'Unable to display required Companion',
+  603: 'Unable to fetch CompanionAds/Companion resource',
+  604: "Couldn't find Companion resource with supported type",
+  900: 'Undefined Error',
+  901: 'General VPAID error',
+  902: 'General InteractiveCreativeFile error code'
+};
+
+class VASTError extends Error {
+  /**
+   * @param {number} code - IAB VAST error code (100-902)
+   * @param {string} message - Human readable explanation of this failure
+   */
+  constructor(code, message) {
+    super(message || VASTError.describe(code));
+    this.name = 'VASTError';
+    this.code = code;
+  }
+
+  /**
+   * Get the spec description of an error code
+   * @param {number} code - IAB VAST error code
+   * @returns {string}
+   */
+  static describe(code) {
+    return VAST_ERROR_CODES[code] || VAST_ERROR_CODES[900];
+  }
+
+  /**
+   * Map an HTMLMediaElement MediaError to a VAST error code
+   * @param {MediaError|null} mediaError - video.error
+   * @returns {number}
+   */
+  static fromMediaError(mediaError) {
+    if (!mediaError) return 400;
+
+    switch (mediaError.code) {
+      case mediaError.MEDIA_ERR_NETWORK:
+        return 401;
+      case mediaError.MEDIA_ERR_DECODE:
+        return 405;
+      case mediaError.MEDIA_ERR_SRC_NOT_SUPPORTED:
+        return 403;
+      default:
+        return 400;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { VASTError, VAST_ERROR_CODES };
+}
@@ -0,0 +1,524 @@
+/**
+ * VAST Linter - Structural checks of VAST documents against the rules of
+ * their declared version (2.0, 3.0, 4.0, 4.1, 4.2, 4.3)
+ *
+ * Each finding carries a severity (error, warning, info), the element path
+ * and a short explanation.
+ */
+
+const SUPPORTED_VAST_VERSIONS = ['2.0', '3.0', '4.0', '4.1', '4.2', '4.3'];
+
+// Tracking events with the version that introduced or deprecated them
+const VAST_TRACKING_EVENTS = {
+  creativeView: {},
+  start: {},
+  firstQuartile: {},
+  midpoint: {},
+  thirdQuartile: {},
+  complete: {},
+  mute: {},
+  unmute: {},
+  pause: {},
+  resume: {},
+  rewind: {},
+  close: {},
+  acceptInvitation: {},
+  fullscreen: { deprecated: 4.0, replacement: 'playerExpand' },
+  exitFullscreen: { deprecated: 4.0, replacement: 'playerCollapse' },
+  expand: { deprecated: 4.0, replacement: 'playerExpand or adExpand' },
+  collapse: { deprecated: 4.0, replacement: 'playerCollapse or adCollapse' },
+  acceptInvitationLinear: { deprecated: 4.0, replacement: 'acceptInvitation' },
+  timeSpentViewing: { deprecated: 4.0 },
+  skip: { since: 3.0 },
+  progress: { since: 3.0 },
+  closeLinear: { since: 3.0 },
+  playerExpand: { since: 4.0 },
+  playerCollapse: { since: 4.0 },
+  loaded: { since: 4.0 },
+  notUsed: { since: 4.0 },
+  otherAdInteraction: { since: 4.0 },
+  adExpand: { since: 4.0 },
+  adCollapse: { since: 4.0 },
+  minimize: { since: 4.0 },
+  overlayViewDuration: { since: 4.0 },
+  interactiveStart: { since: 4.1 },
+  verificationNotExecuted: { since: 4.0 }
+};
+
+// Elements that do not exist before a given version
+const VAST_VERSIONED_ELEMENTS = {
+  Icons: 3.0,
+  Pricing: 3.0,
+  AdVerifications: 4.0,
+  ViewableImpression: 4.0,
+  UniversalAdId: 4.0,
+  InteractiveCreativeFile: 4.0,
+  Mezzanine: 4.0,
+  Category: 4.0,
+  AdServingId: 4.1,
+  ClosedCaptionFiles: 4.1,
+  BlockedAdCategories: 4.1
+};
+
+// Elements deprecated from a given version
+const VAST_DEPRECATED_ELEMENTS = {
+  Survey: { deprecated: 4.1, message: '<Survey> is deprecated since VAST 4.1; use AdVerifications' }
+};
+
+const DURATION_PATTERN = /^\d{2}:[0-5]\d:[0-5]\d(\.\d{1,3})?$/;
+const PERCENT_PATTERN = /^\d{1,3}(\.\d+)?%$/;
+
+class VASTLinter {
+  /**
+   * @param {VASTParser} parser - Parser used to read documents (auto-fix included)
+   */
+  constructor(parser = new VASTParser()) {
+    this.parser = parser;
+  }
+
+  /**
+   * Lint every document received by a parse (root response and wrapper hops)
+   * @param {Array} responses - [{ url, depth, xml }] from VASTParser.getResponses()
+   * @returns {Array} Findings
+   */
+  lint(responses) {
+    return responses.flatMap(response => this.lintDocument(response.xml, response.url));
+  }
+
+  /**
+   * Lint a single VAST document
+   * @param {string} xmlString - Raw VAST XML
+   * @param {string|null} source - URL the document came from (null for pasted XML)
+   * @returns {Array} Findings as { severity, path, rule, message, source }
+   */
+  lintDocument(xmlString, source = null) {
+    const findings = [];
+    const add = (severity, element, rule, message) => {
+      findings.push({
+        severity,
+        path: element ? this.getElementPath(element) : 'VAST',
+        rule,
+        message,
+        source
+      });
+    };
+
+    let xmlDoc;
+    try {
+      const result = this.parser.parseXML(xmlString);
+      xmlDoc = result.xmlDoc;
+      if (result.xmlAutoFixed) {
+        add('error', null, 'xml-escaping', 'Unescaped & characters in URLs; the document only parses after auto-fix');
+      }
+    } catch (error) {
+      add('error', null, error.code === 101 ? 'not-vast' : 'xml-syntax', error.message.split('\n')[0]);
+      return findings;
+    }
+
+    const vast = xmlDoc.querySelector('VAST');
+    const declared = vast.getAttribute('version');
+    const version = this.checkVersion(vast, declared, add);
+
+    this.checkVersionedElements(vast, version, add);
+
+    const ads = this.childElements(vast, 'Ad');
+    if (ads.length === 0) {
+      const hasError = this.childElements(vast, 'Error').length > 0;
+      add(hasError ? 'info' : 'warning', vast, 'no-ads',
+        hasError ? 'No <Ad> elements (no-fill response with a root <Error> URL)' : 'No <Ad> elements and no root <Error> URL to report the no-fill');
+    }
+
+    ads.forEach(ad => this.lintAd(ad, version, add));
+
+    return findings;
+  }
+
+  /**
+   * Check the declared version and return it as a number
+   */
+  checkVersion(vast, declared, add) {
+    if (!declared) {
+      add('error', vast, 'version-missing', 'The VAST element has no version attribute; rules for 4.0 are applied');
+      return 4.0;
+    }
+
+    if (!SUPPORTED_VAST_VERSIONS.includes(declared)) {
+      add('warning', vast, 'version-unknown', `Unknown VAST version "${declared}" (expected ${SUPPORTED_VAST_VERSIONS.join(', ')})`);
+    }
+
+    return parseFloat(declared) || 4.0;
+  }
+
+  /**
+   * Flag elements used before their version or after their deprecation
+   */
+  checkVersionedElements(vast, version, add) {
+    for (const [tagName, since] of Object.entries(VAST_VERSIONED_ELEMENTS)) {
+      vast.querySelectorAll(tagName).forEach(element => {
+        if (version < since) {
+          add('warning', element, 'element-version', `<${tagName}> was introduced in VAST ${since.toFixed(1)} and is not part of VAST ${version.toFixed(1)}`);
+        }
+      });
+    }
+
+    for (const [tagName, rule] of Object.entries(VAST_DEPRECATED_ELEMENTS)) {
+      vast.querySelectorAll(tagName).forEach(element => {
+        if (version >= rule.deprecated) {
+          add('warning', element, 'element-deprecated', rule.message);
+        }
+      });
+    }
+
+    if (version >= 4.0) {
+      vast.querySelectorAll('Extension[type="AdVerifications"]').forEach(element => {
+        add('info', element, 'element-deprecated', 'AdVerifications in an <Extension> is the VAST 3 form; VAST 4 uses <AdVerifications> in <InLine>');
+      });
+    }
+  }
+
+  /**
+   * Lint an Ad element
+   */
+  lintAd(ad, version, add) {
+    const inLine = this.childElements(ad, 'InLine')[0];
+    const wrapper = this.childElements(ad, 'Wrapper')[0];
+
+    if (!inLine && !wrapper) {
+      add('error', ad, 'ad-type', '<Ad> must contain an <InLine> or a <Wrapper>');
+      return;
+    }
+
+    if (inLine && wrapper) {
+      add('error', ad, 'ad-type', '<Ad> contains both <InLine> and <Wrapper>');
+    }
+
+    const sequence = ad.getAttribute('sequence');
+    if (sequence !== null) {
+      if (version < 3.0) {
+        add('warning', ad, 'element-version', 'Ad@sequence (ad pods) was introduced in VAST 3.0');
+      }
+      if (!/^\d+$/.test(sequence)) {
+        add('error', ad, 'sequence-format', `Ad@sequence must be a positive integer (found "${sequence}")`);
+      }
+    }
+
+    if (inLine) {
+      this.lintInLine(inLine, version, add);
+    }
+    if (wrapper) {
+      this.lintWrapper(wrapper, version, add);
+    }
+  }
+
+  /**
+   * Lint an InLine element
+   */
+  lintInLine(inLine, version, add) {
+    this.requireChild(inLine, 'AdSystem', add);
+    this.requireChild(inLine, 'AdTitle', add);
+    this.checkImpressions(inLine, add);
+
+    if (version >= 4.1) {
+      this.requireChild(inLine, 'AdServingId', add, 'required since VAST 4.1');
+    }
+
+    const creatives = inLine.querySelectorAll('Creatives > Creative');
+    if (creatives.length === 0) {
+      add('error', inLine, 'creatives-required', '<InLine> must contain at least one <Creative>');
+    }
+
+    creatives.forEach(creative => this.lintCreative(creative, version, true, add));
+    this.checkErrorURLs(inLine, add);
+  }
+
+  /**
+   * Lint a Wrapper element
+   */
+  lintWrapper(wrapper, version, add) {
+    this.requireChild(wrapper, 'AdSystem', add);
+    this.requireChild(wrapper, 'VASTAdTagURI', add);
+    this.checkImpressions(wrapper, add);
+
+    const uri = this.getText(wrapper, 'VASTAdTagURI');
+    if (uri) {
+      this.checkURL(this.childElements(wrapper, 'VASTAdTagURI')[0], uri, add);
+    }
+
+    wrapper.querySelectorAll('Creatives > Creative').forEach(creative => {
+      this.lintCreative(creative, version, false, add);
+    });
+    this.checkErrorURLs(wrapper, add);
+  }
+
+  /**
+   * Lint a Creative element
+   * @param {boolean} isInLine - InLine creatives must be complete; wrapper creatives only carry tracking
+   */
+  lintCreative(creative, version, isInLine, add) {
+    if (version >= 4.0 && isInLine && this.childElements(creative, 'UniversalAdId').length === 0) {
+      add('error', creative, 'universal-ad-id', '<UniversalAdId> is required in every InLine <Creative> since VAST 4.0');
+    }
+
+    if (version >= 4.0 && creative.hasAttribute('AdID')) {
+      add('warning', creative, 'element-deprecated', 'Creative@AdID was renamed Creative@adId in VAST 4.0');
+    }
+
+    const linear = this.childElements(creative, 'Linear')[0];
+    if (linear) {
+      this.lintLinear(linear, version, isInLine, add);
+    }
+
+    creative.querySelectorAll('Companion').forEach(companion => {
+      ['width', 'height'].forEach(attr => {
+        if (!companion.hasAttribute(attr)) {
+          add('error', companion, 'companion-attributes', `<Companion> is missing the required "${attr}" attribute`);
+        }
+      });
+    });
+
+    creative.querySelectorAll('Tracking').forEach(tracking => {
+      this.lintTracking(tracking, version, add);
+    });
+  }
+
+  /**
+   * Lint a Linear element
+   */
+  lintLinear(linear, version, isInLine, add) {
+    const duration = this.getText(linear, 'Duration');
+    if (isInLine && !duration) {
+      add('error', linear, 'duration-required', '<Linear> must contain a <Duration>');
+    } else if (duration && !DURATION_PATTERN.test(duration)) {
+      add('error', this.childElements(linear, 'Duration')[0], 'duration-format', `Duration "${duration}" must use HH:MM:SS or HH:MM:SS.mmm`);
+    }
+
+    const skipoffset = linear.getAttribute('skipoffset');
+    if (skipoffset !== null) {
+      if (version < 3.0) {
+        add('warning', linear, 'element-version', 'Linear@skipoffset was introduced in VAST 3.0');
+      }
+      if (!DURATION_PATTERN.test(skipoffset) && !PERCENT_PATTERN.test(skipoffset)) {
+        add('error', linear, 'skipoffset-format', `skipoffset "${skipoffset}" must be HH:MM:SS(.mmm) or a percentage`);
+      }
+    }
+
+    const mediaFiles = linear.querySelectorAll('MediaFiles > MediaFile');
+    if (isInLine && mediaFiles.length === 0) {
+      add('error', linear, 'mediafiles-required', '<Linear> must contain at least one <MediaFile>');
+    }
+
+    mediaFiles.forEach(mediaFile => this.lintMediaFile(mediaFile, version, add));
+
+    linear.querySelectorAll('Icons > Icon').forEach(icon => this.lintIcon(icon, isInLine, add));
+  }
+
+  /**
+   * Lint an Icon element (AdChoices and other industry icons)
+   */
+  lintIcon(icon, isInLine, add) {
+    const required = isInLine ? ['program', 'width', 'height', 'xPosition', 'yPosition'] : ['program'];
+    required.forEach(attr => {
+      if (!icon.getAttribute(attr)) {
+        add('error', icon, 'icon-attributes', `<Icon> is missing the required "${attr}" attribute`);
+      }
+    });
+
+    const xPosition = icon.getAttribute('xPosition');
+    if (xPosition && !/^(left|right|\d+)$/.test(xPosition)) {
+      add('error', icon, 'icon-position', `xPosition must be "left", "right" or a pixel value (found "${xPosition}")`);
+    }
+
+    const yPosition = icon.getAttribute('yPosition');
+    if (yPosition && !/^(top|bottom|\d+)$/.test(yPosition)) {
+      add('error', icon, 'icon-position', `yPosition must be "top", "bottom" or a pixel value (found "${yPosition}")`);
+    }
+
+    ['offset', 'duration'].forEach(attr => {
+      const value = icon.getAttribute(attr);
+      if (value && !DURATION_PATTERN.test(value)) {
+        add('error', icon, 'icon-timing', `${attr} "${value}" must use HH:MM:SS or HH:MM:SS.mmm`);
+      }
+    });
+
+    const hasResource = this.childElements(icon, 'StaticResource').length > 0 ||
+      this.childElements(icon, 'IFrameResource').length > 0 ||
+      this.childElements(icon, 'HTMLResource').length > 0;
+    if (isInLine && !hasResource) {
+      add('error', icon, 'icon-resource', '<Icon> must contain a StaticResource, IFrameResource or HTMLResource');
+    }
+
+    const clickThrough = icon.querySelector('IconClicks > IconClickThrough');
+    if (clickThrough && clickThrough.textContent.trim()) {
+      this.checkURL(clickThrough, clickThrough.textContent.trim(), add);
+    }
+  }
+
+  /**
+   * Lint a MediaFile element
+   */
+  lintMediaFile(mediaFile, version, add) {
+    ['delivery', 'type', 'width', 'height'].forEach(attr => {
+      if (!mediaFile.getAttribute(attr)) {
+        add('error', mediaFile, 'mediafile-attributes', `<MediaFile> is missing the required "${attr}" attribute`);
+      }
+    });
+
+    const delivery = mediaFile.getAttribute('delivery');
+    if (delivery && delivery !== 'progressive' && delivery !== 'streaming') {
+      add('error', mediaFile, 'mediafile-delivery', `delivery must be "progressive" or "streaming" (found "${delivery}")`);
+    }
+
+    ['width', 'height', 'bitrate', 'minBitrate', 'maxBitrate'].forEach(attr => {
+      const value = mediaFile.getAttribute(attr);
+      if (value && !/^\d+$/.test(value)) {
+        add('error', mediaFile, 'mediafile-attributes', `${attr} must be an integer (found "${value}")`);
+      }
+    });
+
+    if (version >= 4.1 && mediaFile.getAttribute('apiFramework') === 'VPAID') {
+      add('warning', mediaFile, 'element-deprecated', 'VPAID MediaFiles are deprecated since VAST 4.1; use <InteractiveCreativeFile> (SIMID)');
+    }
+
+    const url = mediaFile.textContent.trim();
+    if (!url) {
+      add('error', mediaFile, 'mediafile-url', '<MediaFile> has no URL');
+    } else {
+      this.checkURL(mediaFile, url, add);
+    }
+  }
+
+  /**
+   * Lint a Tracking element
+   */
+  lintTracking(tracking, version, add) {
+    const event = tracking.getAttribute('event');
+    const rule = VAST_TRACKING_EVENTS[event];
+
+    if (!event) {
+      add('error', tracking, 'tracking-event', '<Tracking> has no event attribute');
+    } else if (!rule) {
+      add('warning', tracking, 'tracking-event', `Unknown tracking event "${event}"`);
+    } else if (rule.since && version < rule.since) {
+      add('warning', tracking, 'element-version', `Tracking event "${event}" was introduced in VAST ${rule.since.toFixed(1)}`);
+    } else if (rule.deprecated && version >= rule.deprecated) {
+      const replacement = rule.replacement ? `; use ${rule.replacement}` : '';
+      add('warning', tracking, 'element-deprecated', `Tracking event "${event}" is deprecated since VAST ${rule.deprecated.toFixed(1)}${replacement}`);
+    }
+
+    if (event === 'progress') {
+      const offset = tracking.getAttribute('offset');
+      if (!offset) {
+        add('error', tracking, 'progress-offset', 'progress tracking requires an offset attribute');
+      } else if (!DURATION_PATTERN.test(offset) && !PERCENT_PATTERN.test(offset)) {
+        add('error', tracking, 'progress-offset', `progress offset "${offset}" must be HH:MM:SS(.mmm) or a percentage`);
+      }
+    }
+
+    const url = tracking.textContent.trim();
+    if (!url) {
+      add('error', tracking, 'tracking-url', `<Tracking event="${event}"> has no URL`);
+    } else {
+      this.checkURL(tracking, url, add);
+    }
+  }
+
+  /**
+   * Require at least one non-empty Impression
+   */
+  checkImpressions(adBody, add) {
+    const impressions = this.childElements(adBody, 'Impression');
+    if (impressions.length === 0) {
+      add('error', adBody, 'impression-required', `<${adBody.tagName}> must contain at least one <Impression>`);
+    }
+
+    impressions.forEach(impression => {
+      const url = impression.textContent.trim();
+      if (!url) {
+        add('warning', impression, 'impression-url', '<Impression> is empty');
+      } else {
+        this.checkURL(impression, url, add);
+      }
+    });
+  }
+
+  /**
+   * Validate Error URLs of an ad
+   */
+  checkErrorURLs(adBody, add) {
+    this.childElements(adBody, 'Error').forEach(error => {
+      const url = error.textContent.trim();
+      if (url) {
+        this.checkURL(error, url, add);
+      }
+    });
+  }
+
+  /**
+   * Require a non-empty child element
+   */
+  requireChild(parent, tagName, add, note = null) {
+    if (!this.getText(parent, tagName)) {
+      add('error', parent, 'required-element', `<${parent.tagName}> is missing a required <${tagName}>${note ? ` (${note})` : ''}`);
+    }
+  }
+
+  /**
+   * Check that a URL is absolute and well formed
+   */
+  checkURL(element, url, add) {
+    try {
+      const parsed = new URL(url);
+      if (!/^https?:$/.test(parsed.protocol)) {
+        add('warning', element, 'url-protocol', `URL uses an unexpected protocol: ${url.substring(0, 80)}`);
+      }
+    } catch (e) {
+      add('error', element, 'url-format', `Malformed URL: ${url.substring(0, 80)}`);
+    }
+  }
+
+  /**
+   * Get direct child elements by tag name
+   */
+  childElements(parent, tagName) {
+    return Array.from(parent.children).filter(child => child.tagName === tagName);
+  }
+
+  /**
+   * Get trimmed text of the first direct child with a tag name
+   */
+  getText(parent, tagName) {
+    const element = this.childElements(parent, tagName)[0];
+    return element ? element.textContent.trim() : null;
+  }
+
+  /**
+   * Build an element path such as VAST/Ad[2]/InLine/Creatives/Creative[1]
+   * Indexes are added where an element has siblings with the same name.
+   */
+  getElementPath(element) {
+    const parts = [];
+    let current = element;
+
+    while (current && current.nodeType === 1) {
+      let part = current.tagName;
+      const parent = current.parentElement;
+
+      if (parent) {
+        const siblings = this.childElements(parent, current.tagName);
+        if (siblings.length > 1) {
+          part += `[${siblings.indexOf(current) + 1}]`;
+        }
+      }
+
+      parts.unshift(part);
+      current = parent;
+    }
+
+    return parts.join('/');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VASTLinter;
+}
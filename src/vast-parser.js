@@ -4,102 +4,52 @@
  */
 
 class VASTParser {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxWrapperDepth - Maximum number of wrappers to follow (IAB recommends 5)
+   */
+  constructor(options = {}) {
+    this.maxWrapperDepth = options.maxWrapperDepth || 5;
     this.vastData = null;
+    this.responses = []; // Raw documents received (root and every wrapper hop)
     this.trackingURLs = {
       impressions: [],
       clicks: [],
       tracking: [],
-      errors: []
+      errors: [],
+      viewability: []
     };
   }
 
   /**
    * Parse VAST XML from URL or string
+   * Wrapper ads are followed through their VASTAdTagURI down to the InLine ad
    * @param {string} vastInput - VAST URL or XML string
    * @param {boolean} isXML - true if input is XML string
    * @returns {Promise<Object>} Parsed VAST data
    */
   async parse(vastInput, isXML = false) {
+    this.responses = [];
+
     try {
       let xmlString;
+      let latency = null;
+      const requestedAt = new Date().toISOString();
 
       if (isXML) {
         xmlString = vastInput;
       } else {
         // Fetch VAST from URL
-        try {
-          const response = await fetch(vastInput);
-          if (!response.ok) {
-            // Provide helpful error messages based on status code
-            if (response.status === 403) {
-              throw new Error(`CORS/Access Denied (403): The VAST server is blocking this request. This usually happens because:\n\n1. CORS Policy: Server doesn't allow requests from this origin\n2. Referrer Check: Server requires specific referrer headers\n3. Authentication: Server requires API keys or tokens\n\n💡 WORKAROUND: Copy the VAST XML response and paste it using the "VAST XML" option instead.`);
-            } else if (response.status === 404) {
-              throw new Error(`VAST Not Found (404): The URL doesn't exist or the creative ID is invalid.`);
-            } else if (response.status === 500) {
-              throw new Error(`Server Error (500): The VAST server is experiencing issues. Try again later.`);
-            } else {
-              throw new Error(`Failed to fetch VAST: ${response.status} ${response.statusText}`);
-            }
-          }
-          xmlString = await response.text();
-        } catch (fetchError) {
-          // Network errors (no response at all)
-          if (fetchError.message.includes('Failed to fetch') || fetchError.name === 'TypeError') {
-            throw new Error(`Network Error: Cannot connect to VAST server. This could be:\n\n1. CORS Policy: Server doesn't allow cross-origin requests\n2. Network Issue: Server is down or unreachable\n3. SSL/Certificate Issue: Mixed content (HTTP vs HTTPS)\n\n💡 WORKAROUND: Open the URL in a new tab, copy the XML, and paste it using the "VAST XML" option.`);
-          }
-          // Re-throw our custom errors
-          throw fetchError;
-        }
+        const start = performance.now();
+        xmlString = await this.fetchVAST(vastInput);
+        latency = Math.round(performance.now() - start);
       }
 
-      // Try to parse XML first
-      let parser = new DOMParser();
-      let xmlDoc = parser.parseFromString(xmlString, 'text/xml');
-      let xmlAutoFixed = false;
+      this.responses = [{ url: isXML ? null : vastInput, depth: 0, xml: xmlString, requestedAt, latency }];
 
-      // Check for XML parsing errors
-      let parserError = xmlDoc.querySelector('parsererror');
-      if (parserError) {
-        // Try to auto-fix common XML issues
-        console.warn('[VAST Parser] XML parsing failed, attempting auto-fix...');
-
-        // Check if error mentions "EntityRef: expecting ';'"
-        const errorText = parserError.textContent;
-        if (errorText.includes('EntityRef') || errorText.includes('expecting')) {
-          // Likely unescaped ampersands in URLs - try to fix
-          console.log('[VAST Parser] Detected unescaped ampersands, fixing...');
-
-          // Fix unescaped ampersands in URLs
-          // Match URLs inside XML tags and escape & to &amp; (but not already escaped ones)
-          xmlString = xmlString.replace(
-            /(https?:\/\/[^<>"{}|\\^`\[\]\s]*?)&(?!amp;|lt;|gt;|quot;|apos;|#\d+;|#x[0-9a-fA-F]+;)/g,
-            '$1&amp;'
-          );
-
-          // Try parsing again
-          xmlDoc = parser.parseFromString(xmlString, 'text/xml');
-          parserError = xmlDoc.querySelector('parsererror');
-
-          if (!parserError) {
-            console.log('[VAST Parser] ✓ Auto-fix successful! XML is now valid.');
-            xmlAutoFixed = true;
-          }
-        }
+      const { xmlDoc, xmlAutoFixed } = this.parseXML(xmlString);
 
-        // If still has error, throw
-        if (parserError) {
-          throw new Error('Invalid XML: ' + parserError.textContent + '\n\n💡 TIP: The VAST XML has syntax errors. Common issues:\n- Unescaped & characters in URLs (should be &amp;)\n- Missing CDATA sections\n- Invalid XML characters');
-        }
-      }
-
-      // Check if it's a VAST document
-      const vastElement = xmlDoc.querySelector('VAST');
-      if (!vastElement) {
-        throw new Error('Not a valid VAST document');
-      }
-
-      const vastVersion = vastElement.getAttribute('version');
+      const vastVersion = xmlDoc.querySelector('VAST').getAttribute('version');
       console.log(`Parsing VAST version: ${vastVersion}`);
 
       // Reset tracking URLs
@@ -107,17 +57,22 @@ class VASTParser {
         impressions: [],
         clicks: [],
         tracking: [],
-        errors: []
+        errors: [],
+        viewability: []
       };
 
       // Parse VAST structure
       this.vastData = this.parseVASTDocument(xmlDoc);
 
+      // Resolve wrapper chains down to their InLine ads
+      await this.resolveWrappers(this.vastData, isXML ? null : vastInput, latency);
+
       return {
         success: true,
         version: vastVersion,
         data: this.vastData,
         tracking: this.trackingURLs,
+        responses: this.responses,
         xmlAutoFixed: xmlAutoFixed
       };
 
@@ -125,20 +80,394 @@ class VASTParser {
       console.error('VAST parsing error:', error);
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        errorCode: error.code || null,
+        responses: this.responses // Documents received before the failure
       };
     }
   }
 
+  /**
+   * Fetch a VAST document
+   * @param {string} url - VAST tag URL
+   * @returns {Promise<string>} Raw XML response
+   */
+  async fetchVAST(url) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        // Provide helpful error messages based on status code
+        if (response.status === 403) {
+          throw new Error(`CORS/Access Denied (403): The VAST server is blocking this request. This usually happens because:\n\n1. CORS Policy: Server doesn't allow requests from this origin\n2. Referrer Check: Server requires specific referrer headers\n3. Authentication: Server requires API keys or tokens\n\n💡 WORKAROUND: Copy the VAST XML response and paste it using the "VAST XML" option instead.`);
+        } else if (response.status === 404) {
+          throw new Error(`VAST Not Found (404): The URL doesn't exist or the creative ID is invalid.`);
+        } else if (response.status === 500) {
+          throw new Error(`Server Error (500): The VAST server is experiencing issues. Try again later.`);
+        } else {
+          throw new Error(`Failed to fetch VAST: ${response.status} ${response.statusText}`);
+        }
+      }
+      return await response.text();
+    } catch (fetchError) {
+      // Network errors (no response at all)
+      if (fetchError.message.includes('Failed to fetch') || fetchError.name === 'TypeError') {
+        throw new Error(`Network Error: Cannot connect to VAST server. This could be:\n\n1. CORS Policy: Server doesn't allow cross-origin requests\n2. Network Issue: Server is down or unreachable\n3. SSL/Certificate Issue: Mixed content (HTTP vs HTTPS)\n\n💡 WORKAROUND: Open the URL in a new tab, copy the XML, and paste it using the "VAST XML" option.`);
+      }
+      // Re-throw our custom errors
+      throw fetchError;
+    }
+  }
+
+  /**
+   * Parse an XML string into a VAST document, auto-fixing unescaped ampersands
+   * @param {string} xmlString - Raw XML
+   * @returns {Object} { xmlDoc, xmlAutoFixed }
+   */
+  parseXML(xmlString) {
+    // Try to parse XML first
+    const parser = new DOMParser();
+    let xmlDoc = parser.parseFromString(xmlString, 'text/xml');
+    let xmlAutoFixed = false;
+
+    // Check for XML parsing errors
+    let parserError = xmlDoc.querySelector('parsererror');
+    if (parserError) {
+      // Try to auto-fix common XML issues
+      console.warn('[VAST Parser] XML parsing failed, attempting auto-fix...');
+
+      // Check if error mentions "EntityRef: expecting ';'"
+      const errorText = parserError.textContent;
+      if (errorText.includes('EntityRef') || errorText.includes('expecting')) {
+        // Likely unescaped ampersands in URLs - try to fix
+        console.log('[VAST Parser] Detected unescaped ampersands, fixing...');
+
+        // Fix unescaped ampersands in URLs
+        // Match URLs inside XML tags and escape & to &amp; (but not already escaped ones)
+        xmlString = xmlString.replace(
+          /(https?:\/\/[^<>"{}|\\^`\[\]\s]*?)&(?!amp;|lt;|gt;|quot;|apos;|#\d+;|#x[0-9a-fA-F]+;)/g,
+          '$1&amp;'
+        );
+
+        // Try parsing again
+        xmlDoc = parser.parseFromString(xmlString, 'text/xml');
+        parserError = xmlDoc.querySelector('parsererror');
+
+        if (!parserError) {
+          console.log('[VAST Parser] ✓ Auto-fix successful! XML is now valid.');
+          xmlAutoFixed = true;
+        }
+      }
+
+      // If still has error, throw
+      if (parserError) {
+        throw new VASTError(100, 'Invalid XML: ' + parserError.textContent + '\n\n💡 TIP: The VAST XML has syntax errors. Common issues:\n- Unescaped & characters in URLs (should be &amp;)\n- Missing CDATA sections\n- Invalid XML characters');
+      }
+    }
+
+    // Check if it's a VAST document
+    if (!xmlDoc.querySelector('VAST')) {
+      throw new VASTError(101, 'Not a valid VAST document');
+    }
+
+    return { xmlDoc, xmlAutoFixed };
+  }
+
+  /**
+   * Resolve every Wrapper ad in a parsed document to its final InLine ad(s)
+   * @param {Object} data - Parsed VAST document data (ads are replaced in place)
+   * @param {string|null} sourceURL - URL the document was fetched from (null for pasted XML)
+   * @param {number|null} latency - Fetch latency of the document in ms
+   */
+  async resolveWrappers(data, sourceURL, latency) {
+    const resolvedAds = [];
+
+    for (const ad of data.ads) {
+      const rootHop = this.createHop(0, sourceURL, ad, latency);
+      if (ad.type === 'wrapper') {
+        const ads = await this.followWrapper(ad, ad, [rootHop], []);
+        resolvedAds.push(...ads);
+      } else {
+        ad.wrapperChain = [rootHop];
+        resolvedAds.push(ad);
+      }
+    }
+
+    data.ads = resolvedAds;
+  }
+
+  /**
+   * Follow a wrapper ad's VASTAdTagURI recursively
+   * @param {Object} rootAd - Wrapper ad from the original response
+   * @param {Object} ad - Wrapper ad at the current hop
+   * @param {Array} chain - Hops followed so far (last hop holds `ad`)
+   * @param {Array} wrappers - Wrapper data of every hop followed so far
+   * @returns {Promise<Array>} Resolved ads, or the root ad marked as unresolved
+   */
+  async followWrapper(rootAd, ad, chain, wrappers) {
+    const wrapper = ad.wrapper;
+    const uri = wrapper.vastAdTagURI;
+    wrappers = wrappers.concat(wrapper);
+
+    // Stop the chain at `hop` and return the root wrapper marked as unresolved,
+    // carrying the VAST error code and the Error URLs of every wrapper followed
+    const fail = (hop, status, code, message, responseErrors = []) => {
+      console.warn(`[VAST Parser] Wrapper chain stopped (${code}): ${message}`);
+      const failedHop = { ...hop, status: status, error: message, errorCode: code };
+      const hops = hop === chain[chain.length - 1] ? chain.slice(0, -1) : chain;
+      return [{
+        ...rootAd,
+        wrapper: { ...rootAd.wrapper, extensions: this.collectExtensions(wrappers) },
+        wrapperChain: hops.concat(failedHop),
+        resolveError: message,
+        resolveErrorCode: code,
+        wrapperErrors: wrappers.flatMap(w => w.errors).concat(responseErrors)
+      }];
+    };
+
+    const currentHop = chain[chain.length - 1];
+
+    if (!uri) {
+      return fail(currentHop, 'error', 300, 'Wrapper has no VASTAdTagURI');
+    }
+
+    if (wrappers.length > this.maxWrapperDepth) {
+      return fail(currentHop, 'depth-limit', 302, `Wrapper limit reached (${this.maxWrapperDepth} wrappers)`);
+    }
+
+    const hop = this.createHop(chain.length, uri, null, null);
+
+    // A loop would keep returning wrappers until the limit, so it is reported as 302
+    if (chain.some(h => h.url === uri)) {
+      return fail(hop, 'loop', 302, `Wrapper loop detected: ${uri} was already requested in this chain`);
+    }
+
+    let xmlString;
+    try {
+      const requestedAt = new Date().toISOString();
+      const start = performance.now();
+      xmlString = await this.fetchVAST(uri);
+      hop.latency = Math.round(performance.now() - start);
+      this.responses.push({ url: uri, depth: chain.length, xml: xmlString, requestedAt, latency: hop.latency });
+    } catch (error) {
+      return fail(hop, 'error', 301, error.message);
+    }
+
+    let data;
+    try {
+      data = this.parseVASTDocument(this.parseXML(xmlString).xmlDoc);
+    } catch (error) {
+      return fail(hop, 'error', error.code || 300, error.message);
+    }
+
+    if (data.ads.length === 0) {
+      return fail(hop, 'no-ads', 303, 'Wrapper response contains no ads', data.errors);
+    }
+
+    // Without allowMultipleAds only a single stand-alone ad may be used
+    const ads = wrapper.allowMultipleAds
+      ? data.ads
+      : [data.ads.find(a => !a.sequence) || data.ads[0]];
+
+    const resolved = [];
+    for (const [index, nextAd] of ads.entries()) {
+      // Ads of a multi-ad response keep an id and sequence of their own, so
+      // tracking, replay and pod order stay per ad
+      const adRoot = ads.length > 1
+        ? { ...rootAd, id: `${rootAd.id}/${nextAd.id || index}`, sequence: nextAd.sequence || rootAd.sequence }
+        : rootAd;
+      const nextHop = { ...hop, adSystem: this.getAdSystem(nextAd), type: nextAd.type };
+      const nextChain = chain.concat(nextHop);
+
+      if (nextAd.type === 'wrapper') {
+        if (!wrapper.followAdditionalWrappers) {
+          const [failed] = fail(nextHop, 'error', 300, 'Wrapper does not allow additional wrappers (followAdditionalWrappers="false")');
+          resolved.push({ ...failed, id: adRoot.id, sequence: adRoot.sequence });
+          continue;
+        }
+        resolved.push(...await this.followWrapper(adRoot, nextAd, nextChain, wrappers));
+      } else if (nextAd.type === 'inline') {
+        resolved.push(this.mergeWrappers(adRoot, nextAd, nextChain, wrappers));
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Merge the tracking of every wrapper in a chain into the final InLine ad
+   * @param {Object} rootAd - Wrapper ad from the original response
+   * @param {Object} inlineAd - Final InLine ad
+   * @param {Array} chain - Full hop list
+   * @param {Array} wrappers - Wrapper data of every hop
+   * @returns {Object} InLine ad carrying the merged tracking and the hop list
+   */
+  mergeWrappers(rootAd, inlineAd, chain, wrappers) {
+    const inline = {
+      ...inlineAd.inline,
+      impressions: wrappers.flatMap(w => w.impressions).concat(inlineAd.inline.impressions),
+      errors: wrappers.flatMap(w => w.errors).concat(inlineAd.inline.errors),
+      verifications: wrappers.flatMap(w => w.verifications).concat(inlineAd.inline.verifications),
+      viewableImpression: this.mergeViewableImpressions(
+        wrappers.map(w => w.viewableImpression).concat(inlineAd.inline.viewableImpression)
+      ),
+      extensions: this.collectExtensions(wrappers.concat(inlineAd.inline))
+    };
+
+    // Wrapper linear tracking applies to every linear creative of the InLine ad
+    const wrapperLinears = wrappers.flatMap(w =>
+      w.creatives.filter(c => c.type === 'linear').map(c => c.data)
+    );
+
+    // Wrapper NonLinearAds tracking applies to every nonlinear creative
+    const wrapperNonLinears = wrappers.flatMap(w =>
+      w.creatives.filter(c => c.type === 'nonlinear').map(c => c.data)
+    );
+
+    // Wrapper companion tracking applies to every companion
+    const wrapperCompanions = wrappers.flatMap(w =>
+      w.creatives.filter(c => c.type === 'companion').flatMap(c => c.data.companions)
+    );
+
+    inline.creatives = inline.creatives.map(creative => {
+      if (creative.type === 'companion' && wrapperCompanions.length > 0) {
+        return {
+          ...creative,
+          data: {
+            ...creative.data,
+            companions: creative.data.companions.map(companion => ({
+              ...companion,
+              trackingEvents: wrapperCompanions.flatMap(c => c.trackingEvents).concat(companion.trackingEvents),
+              clickTracking: wrapperCompanions.flatMap(c => c.clickTracking).concat(companion.clickTracking)
+            }))
+          }
+        };
+      }
+
+      if (creative.type === 'nonlinear' && wrapperNonLinears.length > 0) {
+        const wrapperClickTracking = wrapperNonLinears.flatMap(n => n.nonLinears.flatMap(nl => nl.clickTracking));
+        return {
+          ...creative,
+          data: {
+            ...creative.data,
+            trackingEvents: wrapperNonLinears.flatMap(n => n.trackingEvents).concat(creative.data.trackingEvents),
+            nonLinears: creative.data.nonLinears.map(nl => ({
+              ...nl,
+              clickTracking: wrapperClickTracking.concat(nl.clickTracking)
+            }))
+          }
+        };
+      }
+
+      if (creative.type !== 'linear' || wrapperLinears.length === 0) {
+        return creative;
+      }
+
+      const linear = creative.data;
+      const wrapperIcons = wrapperLinears.flatMap(l => l.icons || []);
+
+      return {
+        ...creative,
+        data: {
+          ...linear,
+          // Wrapper icon tracking applies to the icon of the same program
+          icons: (linear.icons || []).map(icon => {
+            const sameProgram = wrapperIcons.filter(w => w.program && w.program === icon.program);
+            return {
+              ...icon,
+              viewTracking: sameProgram.flatMap(w => w.viewTracking).concat(icon.viewTracking),
+              clickTracking: sameProgram.flatMap(w => w.clickTracking).concat(icon.clickTracking)
+            };
+          }),
+          trackingEvents: wrapperLinears.flatMap(l => l.trackingEvents).concat(linear.trackingEvents),
+          videoClicks: {
+            ...linear.videoClicks,
+            clickTracking: wrapperLinears
+              .flatMap(l => l.videoClicks.clickTracking || [])
+              .concat(linear.videoClicks.clickTracking || [])
+          }
+        }
+      };
+    });
+
+    return {
+      ...inlineAd,
+      id: rootAd.id,
+      sequence: rootAd.sequence || inlineAd.sequence,
+      wrapper: rootAd.wrapper,
+      inline: inline,
+      wrapperChain: chain
+    };
+  }
+
+  /**
+   * Combine the ViewableImpression URLs of a wrapper chain
+   * @param {Array} viewableImpressions - ViewableImpression of every hop (null when absent)
+   * @returns {Object|null} Combined ViewableImpression, or null if no hop declared one
+   */
+  mergeViewableImpressions(viewableImpressions) {
+    const declared = viewableImpressions.filter(Boolean);
+    if (declared.length === 0) return null;
+
+    return {
+      id: declared[declared.length - 1].id,
+      viewable: declared.flatMap(v => v.viewable),
+      notViewable: declared.flatMap(v => v.notViewable),
+      viewUndetermined: declared.flatMap(v => v.viewUndetermined)
+    };
+  }
+
+  /**
+   * Collect the extensions of every hop of a wrapper chain, tagged with the hop depth
+   * @param {Array} hops - Wrapper data of every hop, then the InLine data if reached
+   * @returns {Array} Extensions in chain order
+   */
+  collectExtensions(hops) {
+    return hops.flatMap((hop, depth) => hop.extensions.map(extension => ({ ...extension, depth })));
+  }
+
+  /**
+   * Create a wrapper chain hop record
+   */
+  createHop(depth, url, ad, latency) {
+    return {
+      depth: depth,
+      url: url,
+      adSystem: ad ? this.getAdSystem(ad) : null,
+      type: ad ? ad.type : null,
+      latency: latency,
+      status: 'ok',
+      error: null,
+      errorCode: null
+    };
+  }
+
+  /**
+   * Get the AdSystem of an InLine or Wrapper ad
+   */
+  getAdSystem(ad) {
+    const body = ad.inline || ad.wrapper;
+    return body ? body.adSystem : null;
+  }
+
   /**
    * Parse VAST document and extract ad information
    */
   parseVASTDocument(xmlDoc) {
     const data = {
       ads: [],
+      errors: [],
       version: xmlDoc.querySelector('VAST')?.getAttribute('version') || 'Unknown'
     };
 
+    // Root-level Error URLs, used by ad servers to report "no ad" responses
+    xmlDoc.querySelectorAll('VAST > Error').forEach(err => {
+      const url = err.textContent.trim();
+      if (url) {
+        data.errors.push(url);
+        this.trackingURLs.errors.push(url);
+      }
+    });
+
     // Get all Ad elements
     const adElements = xmlDoc.querySelectorAll('Ad');
 
@@ -188,8 +517,11 @@ class VASTParser {
       adTitle: this.getElementText(inLineElement, 'AdTitle'),
       description: this.getElementText(inLineElement, 'Description'),
       impressions: [],
+      errors: [],
       creatives: [],
-      extensions: []
+      verifications: this.parseAdVerifications(inLineElement),
+      viewableImpression: this.parseViewableImpression(inLineElement),
+      extensions: this.parseExtensions(inLineElement, 'InLine')
     };
 
     // Parse Impressions
@@ -210,6 +542,7 @@ class VASTParser {
     errorElements.forEach(err => {
       const url = err.textContent.trim();
       if (url) {
+        inline.errors.push(url);
         this.trackingURLs.errors.push(url);
       }
     });
@@ -233,8 +566,15 @@ class VASTParser {
     const wrapper = {
       adSystem: this.getElementText(wrapperElement, 'AdSystem'),
       vastAdTagURI: this.getElementText(wrapperElement, 'VASTAdTagURI'),
+      followAdditionalWrappers: wrapperElement.getAttribute('followAdditionalWrappers') !== 'false',
+      allowMultipleAds: wrapperElement.getAttribute('allowMultipleAds') === 'true',
+      fallbackOnNoAd: wrapperElement.getAttribute('fallbackOnNoAd') === 'true',
       impressions: [],
-      creatives: []
+      errors: [],
+      creatives: [],
+      verifications: this.parseAdVerifications(wrapperElement),
+      viewableImpression: this.parseViewableImpression(wrapperElement),
+      extensions: this.parseExtensions(wrapperElement, 'Wrapper')
     };
 
     // Parse Impressions
@@ -250,9 +590,204 @@ class VASTParser {
       }
     });
 
+    // Parse Error tracking
+    const errorElements = wrapperElement.querySelectorAll('Error');
+    errorElements.forEach(err => {
+      const url = err.textContent.trim();
+      if (url) {
+        wrapper.errors.push(url);
+        this.trackingURLs.errors.push(url);
+      }
+    });
+
+    // Parse Creatives (wrappers carry tracking and click tracking only)
+    const creativeElements = wrapperElement.querySelectorAll('Creative');
+    creativeElements.forEach(creative => {
+      const parsedCreative = this.parseCreative(creative);
+      if (parsedCreative) {
+        wrapper.creatives.push(parsedCreative);
+      }
+    });
+
     return wrapper;
   }
 
+  /**
+   * Parse the <Extensions> of an InLine or Wrapper, keeping each raw subtree
+   * @param {Element} adElement - InLine or Wrapper element
+   * @param {string} source - InLine or Wrapper
+   * @returns {Array} Parsed extensions ({ type, source, adSystem, depth, xml, tree, recognized })
+   */
+  parseExtensions(adElement, source) {
+    const adSystem = this.getElementText(adElement, 'AdSystem');
+    const serializer = new XMLSerializer();
+
+    return Array.from(adElement.querySelectorAll(':scope > Extensions > Extension')).map(extension => ({
+      type: extension.getAttribute('type') || null,
+      source: source,
+      adSystem: adSystem,
+      depth: 0, // Wrapper hop the extension came from (set when the chain is merged)
+      xml: serializer.serializeToString(extension),
+      tree: this.buildElementTree(extension),
+      recognized: typeof ExtensionRecognizer !== 'undefined' ? ExtensionRecognizer.recognize(extension) : null
+    }));
+  }
+
+  /**
+   * Convert an element into a plain tree for the extension viewer
+   * @param {Element} element - XML element
+   * @returns {Object} { name, attributes, text, children }
+   */
+  buildElementTree(element) {
+    const text = Array.from(element.childNodes)
+      .filter(node => node.nodeType === 3 || node.nodeType === 4) // Text and CDATA
+      .map(node => node.nodeValue)
+      .join('')
+      .trim();
+
+    return {
+      name: element.tagName,
+      attributes: Array.from(element.attributes).map(attr => ({ name: attr.name, value: attr.value })),
+      text: text,
+      children: Array.from(element.children).map(child => this.buildElementTree(child))
+    };
+  }
+
+  /**
+   * Parse ViewableImpression (VAST 4): URLs for the viewability outcome of the impression
+   * @param {Element} adElement - InLine or Wrapper element
+   * @returns {Object|null} { id, viewable, notViewable, viewUndetermined }, or null if absent
+   */
+  parseViewableImpression(adElement) {
+    const element = adElement.querySelector('ViewableImpression');
+    if (!element) return null;
+
+    const viewableImpression = {
+      id: element.getAttribute('id') || null,
+      viewable: [],
+      notViewable: [],
+      viewUndetermined: []
+    };
+
+    const buckets = {
+      Viewable: viewableImpression.viewable,
+      NotViewable: viewableImpression.notViewable,
+      ViewUndetermined: viewableImpression.viewUndetermined
+    };
+
+    Object.entries(buckets).forEach(([tagName, urls]) => {
+      element.querySelectorAll(tagName).forEach(el => {
+        const url = el.textContent.trim();
+        if (url) {
+          urls.push(url);
+          this.trackingURLs.viewability.push({ event: tagName, url: url });
+        }
+      });
+    });
+
+    return viewableImpression;
+  }
+
+  /**
+   * Parse AdVerifications (VAST 4) and the VAST 3 <Extension type="AdVerifications"> form
+   * @param {Element} adElement - InLine or Wrapper element
+   * @returns {Array} Parsed verifications with validation issues
+   */
+  parseAdVerifications(adElement) {
+    const verifications = [];
+
+    const verificationElements = adElement.querySelectorAll(
+      'AdVerifications > Verification, Extension[type="AdVerifications"] > Verification'
+    );
+
+    verificationElements.forEach(v => {
+      const verification = {
+        vendor: v.getAttribute('vendor') || null,
+        source: v.closest('Extension') ? 'Extension' : 'AdVerifications',
+        javaScriptResources: [],
+        executableResources: [],
+        parameters: this.getElementText(v, 'VerificationParameters'),
+        trackingEvents: [],
+        issues: []
+      };
+
+      v.querySelectorAll('JavaScriptResource').forEach(res => {
+        verification.javaScriptResources.push({
+          url: res.textContent.trim(),
+          apiFramework: res.getAttribute('apiFramework') || null,
+          browserOptional: res.getAttribute('browserOptional') === 'true'
+        });
+      });
+
+      v.querySelectorAll('ExecutableResource').forEach(res => {
+        verification.executableResources.push({
+          url: res.textContent.trim(),
+          apiFramework: res.getAttribute('apiFramework') || null,
+          type: res.getAttribute('type') || null
+        });
+      });
+
+      v.querySelectorAll('Tracking').forEach(tracking => {
+        const event = tracking.getAttribute('event');
+        const url = tracking.textContent.trim();
+        if (event && url) {
+          verification.trackingEvents.push({ event, url });
+        }
+      });
+
+      verification.issues = this.validateVerification(verification);
+      verifications.push(verification);
+    });
+
+    return verifications;
+  }
+
+  /**
+   * Flag missing or malformed verification vendor entries
+   * @param {Object} verification - Parsed verification
+   * @returns {Array} Issues as { severity, message }
+   */
+  validateVerification(verification) {
+    const issues = [];
+
+    if (!verification.vendor) {
+      issues.push({ severity: 'error', message: 'Missing vendor attribute' });
+    } else if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+-[\w-]+$/i.test(verification.vendor)) {
+      issues.push({ severity: 'warning', message: `Vendor "${verification.vendor}" does not follow the recommended "domain.com-useCase" format` });
+    }
+
+    const resources = verification.javaScriptResources.concat(verification.executableResources);
+    if (resources.length === 0) {
+      issues.push({ severity: 'error', message: 'No JavaScriptResource or ExecutableResource' });
+    }
+
+    resources.forEach(res => {
+      if (!res.url) {
+        issues.push({ severity: 'error', message: 'Verification resource has an empty URL' });
+        return;
+      }
+
+      try {
+        const url = new URL(res.url);
+        if (url.protocol !== 'https:') {
+          issues.push({ severity: 'warning', message: `Verification resource is not served over HTTPS: ${res.url}` });
+        }
+      } catch (e) {
+        issues.push({ severity: 'error', message: `Verification resource URL is malformed: ${res.url}` });
+      }
+
+      if (!res.apiFramework) {
+        issues.push({ severity: 'warning', message: 'Verification resource has no apiFramework (expected "omid")' });
+      }
+    });
+
+    if (!verification.trackingEvents.some(t => t.event === 'verificationNotExecuted')) {
+      issues.push({ severity: 'info', message: 'No verificationNotExecuted tracking event' });
+    }
+
+    return issues;
+  }
+
   /**
    * Parse Creative element
    */
@@ -292,7 +827,9 @@ class VASTParser {
       skipoffset: linearElement.getAttribute('skipoffset') || null,
       mediaFiles: [],
       videoClicks: {},
-      trackingEvents: []
+      trackingEvents: [],
+      icons: this.parseIcons(linearElement),
+      closedCaptionFiles: this.parseClosedCaptionFiles(linearElement)
     };
 
     // Parse MediaFiles
@@ -318,6 +855,8 @@ class VASTParser {
         height: mf.getAttribute('height') || null,
         codec: mf.getAttribute('codec') || null,
         bitrate: mf.getAttribute('bitrate') || null,
+        minBitrate: mf.getAttribute('minBitrate') || null, // Streaming renditions
+        maxBitrate: mf.getAttribute('maxBitrate') || null,
         apiFramework: apiFramework || null,
         isVPAID: isVPAID,
         isSIMID: isSIMID,
@@ -391,14 +930,18 @@ class VASTParser {
     trackingElements.forEach(tracking => {
       const event = tracking.getAttribute('event');
       const url = tracking.textContent.trim();
+      // offset is used by progress events (HH:MM:SS(.mmm) or percentage)
+      const offset = tracking.getAttribute('offset') || null;
       if (event && url) {
         linear.trackingEvents.push({
           event: event,
-          url: url
+          url: url,
+          offset: offset
         });
         this.trackingURLs.tracking.push({
           event: event,
           url: url,
+          offset: offset,
           fired: false
         });
       }
@@ -407,6 +950,70 @@ class VASTParser {
     return linear;
   }
 
+  /**
+   * Parse the VAST 4.1 ClosedCaptionFiles of a Linear creative
+   * @param {Element} linearElement - Linear element
+   * @returns {Array} Caption files ({ type, language, url })
+   */
+  parseClosedCaptionFiles(linearElement) {
+    return Array.from(linearElement.querySelectorAll('MediaFiles > ClosedCaptionFiles > ClosedCaptionFile'))
+      .map(file => ({
+        type: file.getAttribute('type') || null,
+        language: file.getAttribute('language') || null,
+        url: file.textContent.trim()
+      }))
+      .filter(file => file.url);
+  }
+
+  /**
+   * Parse the Icons of a Linear creative (AdChoices and other industry icons)
+   * @param {Element} linearElement - Linear element
+   * @returns {Array} Parsed icons
+   */
+  parseIcons(linearElement) {
+    const icons = [];
+
+    linearElement.querySelectorAll('Icons > Icon').forEach(icon => {
+      const urls = (selector) => Array.from(icon.querySelectorAll(selector))
+        .map(el => el.textContent.trim())
+        .filter(Boolean);
+
+      const clickTracking = urls('IconClicks > IconClickTracking');
+      clickTracking.forEach(url => {
+        this.trackingURLs.clicks.push({ type: 'iconClickTracking', url: url });
+      });
+
+      const viewTracking = urls('IconViewTracking');
+      viewTracking.forEach(url => {
+        this.trackingURLs.tracking.push({ event: 'IconViewTracking', url: url, offset: null, fired: false });
+      });
+
+      icons.push({
+        program: icon.getAttribute('program') || null,
+        width: icon.getAttribute('width') || null,
+        height: icon.getAttribute('height') || null,
+        xPosition: icon.getAttribute('xPosition') || null,
+        yPosition: icon.getAttribute('yPosition') || null,
+        offset: icon.getAttribute('offset') || null,
+        duration: icon.getAttribute('duration') || null,
+        apiFramework: icon.getAttribute('apiFramework') || null,
+        pxratio: icon.getAttribute('pxratio') || null,
+        resources: this.parseResources(icon),
+        clickThrough: this.getElementText(icon, 'IconClicks > IconClickThrough'),
+        clickTracking: clickTracking,
+        clickFallbackImages: Array.from(icon.querySelectorAll('IconClickFallbackImage')).map(image => ({
+          width: image.getAttribute('width') || null,
+          height: image.getAttribute('height') || null,
+          altText: this.getElementText(image, 'AltText'),
+          resources: this.parseResources(image)
+        })),
+        viewTracking: viewTracking
+      });
+    });
+
+    return icons;
+  }
+
   /**
    * Parse NonLinear ads
    */
@@ -418,18 +1025,92 @@ class VASTParser {
 
     const nonLinearElements = nonLinearAdsElement.querySelectorAll('NonLinear');
     nonLinearElements.forEach(nl => {
+      const resources = this.parseResources(nl);
+      const clickTracking = [];
+
+      nl.querySelectorAll('NonLinearClickTracking').forEach(ct => {
+        const url = ct.textContent.trim();
+        if (url) {
+          clickTracking.push(url);
+          this.trackingURLs.clicks.push({
+            type: 'nonLinearClickTracking',
+            url: url
+          });
+        }
+      });
+
+      const clickThrough = this.getElementText(nl, 'NonLinearClickThrough');
+      if (clickThrough) {
+        this.trackingURLs.clicks.push({
+          type: 'nonLinearClickThrough',
+          url: clickThrough
+        });
+      }
+
       nonLinear.nonLinears.push({
         id: nl.getAttribute('id') || null,
         width: nl.getAttribute('width') || null,
         height: nl.getAttribute('height') || null,
-        resource: this.getElementText(nl, 'StaticResource') || this.getElementText(nl, 'IFrameResource'),
-        clickThrough: this.getElementText(nl, 'NonLinearClickThrough')
+        expandedWidth: nl.getAttribute('expandedWidth') || null,
+        expandedHeight: nl.getAttribute('expandedHeight') || null,
+        scalable: nl.getAttribute('scalable') !== 'false',
+        maintainAspectRatio: nl.getAttribute('maintainAspectRatio') !== 'false',
+        minSuggestedDuration: nl.getAttribute('minSuggestedDuration') || null,
+        apiFramework: nl.getAttribute('apiFramework') || null,
+        resources: resources,
+        resource: resources.length > 0 ? resources[0].content : null,
+        adParameters: this.getElementText(nl, 'AdParameters'),
+        clickThrough: clickThrough,
+        clickTracking: clickTracking
       });
     });
 
+    // Tracking events apply to every NonLinear of the NonLinearAds
+    const trackingElements = nonLinearAdsElement.querySelectorAll('TrackingEvents > Tracking');
+    trackingElements.forEach(tracking => {
+      const event = tracking.getAttribute('event');
+      const url = tracking.textContent.trim();
+      if (event && url) {
+        nonLinear.trackingEvents.push({
+          event: event,
+          url: url,
+          offset: null
+        });
+        this.trackingURLs.tracking.push({
+          event: event,
+          url: url,
+          offset: null,
+          fired: false
+        });
+      }
+    });
+
     return nonLinear;
   }
 
+  /**
+   * Parse the StaticResource, IFrameResource and HTMLResource of a NonLinear,
+   * Companion or Icon in declaration order
+   * @param {Element} element - Element holding the resources
+   * @returns {Array} Resources ({ type: 'static'|'iframe'|'html', content, creativeType })
+   */
+  parseResources(element) {
+    const types = {
+      StaticResource: 'static',
+      IFrameResource: 'iframe',
+      HTMLResource: 'html'
+    };
+
+    return Array.from(element.children)
+      .filter(child => types[child.tagName])
+      .map(child => ({
+        type: types[child.tagName],
+        content: child.textContent.trim(),
+        creativeType: child.getAttribute('creativeType') || null
+      }))
+      .filter(resource => resource.content);
+  }
+
   /**
    * Parse CompanionAds
    */
@@ -438,17 +1119,70 @@ class VASTParser {
 
     const companionElements = companionAdsElement.querySelectorAll('Companion');
     companionElements.forEach(comp => {
+      const resources = this.parseResources(comp);
+      const clickTracking = [];
+      const trackingEvents = [];
+
+      comp.querySelectorAll('CompanionClickTracking').forEach(ct => {
+        const url = ct.textContent.trim();
+        if (url) {
+          clickTracking.push(url);
+          this.trackingURLs.clicks.push({
+            type: 'companionClickTracking',
+            url: url
+          });
+        }
+      });
+
+      const clickThrough = this.getElementText(comp, 'CompanionClickThrough');
+      if (clickThrough) {
+        this.trackingURLs.clicks.push({
+          type: 'companionClickThrough',
+          url: clickThrough
+        });
+      }
+
+      comp.querySelectorAll('TrackingEvents > Tracking').forEach(tracking => {
+        const event = tracking.getAttribute('event');
+        const url = tracking.textContent.trim();
+        if (event && url) {
+          trackingEvents.push({
+            event: event,
+            url: url,
+            offset: null
+          });
+          this.trackingURLs.tracking.push({
+            event: event,
+            url: url,
+            offset: null,
+            fired: false
+          });
+        }
+      });
+
       companions.push({
         id: comp.getAttribute('id') || null,
         width: comp.getAttribute('width') || null,
         height: comp.getAttribute('height') || null,
-        resource: this.getElementText(comp, 'StaticResource') || this.getElementText(comp, 'IFrameResource'),
-        clickThrough: this.getElementText(comp, 'CompanionClickThrough'),
-        trackingEvents: []
+        assetWidth: comp.getAttribute('assetWidth') || null,
+        assetHeight: comp.getAttribute('assetHeight') || null,
+        adSlotId: comp.getAttribute('adSlotID') || comp.getAttribute('adSlotId') || null,
+        apiFramework: comp.getAttribute('apiFramework') || null,
+        resources: resources,
+        resource: resources.length > 0 ? resources[0].content : null,
+        altText: this.getElementText(comp, 'AltText'),
+        adParameters: this.getElementText(comp, 'AdParameters'),
+        clickThrough: clickThrough,
+        clickTracking: clickTracking,
+        trackingEvents: trackingEvents
       });
     });
 
-    return { companions };
+    return {
+      // all: every companion must be shown, any: at least one, none: optional (VAST 3+)
+      required: companionAdsElement.getAttribute('required') || null,
+      companions
+    };
   }
 
   /**
@@ -466,6 +1200,14 @@ class VASTParser {
     return this.trackingURLs;
   }
 
+  /**
+   * Get raw VAST documents received by the last parse
+   * @returns {Array} [{ url, depth, xml, requestedAt, latency }] (url and latency are null for pasted XML)
+   */
+  getResponses() {
+    return this.responses;
+  }
+
   /**
    * Get parsed VAST data
    */
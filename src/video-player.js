@@ -8,121 +8,1349 @@ class VideoPlayer {
     this.tracker = tracker;
     this.clickOverlay = document.getElementById('video-click-overlay');
     this.simidIframe = document.getElementById('simid-iframe');
+    this.skipControl = document.getElementById('skip-control');
+    this.closeButton = document.getElementById('close-ad-button');
+    this.nonLinearOverlay = document.getElementById('nonlinear-overlay');
+    this.companionZone = document.getElementById('companion-zone');
+    this.iconLayer = document.getElementById('icon-layer');
     this.isSIMID = false; // Track if current ad is SIMID
     this.simidBridge = null; // SIMID protocol bridge
+    this.streamLoader = null; // HLS/DASH loader of a streaming MediaFile
     this.vastData = null;
     this.trackingURLs = null;
-    this.quartilesFired = {
-      start: false,
-      firstQuartile: false,
-      midpoint: false,
-      thirdQuartile: false,
-      complete: false
-    };
+    this.adQueue = []; // Ads to play back to back (pod ordered by sequence)
+    this.buffet = []; // Stand-alone ads (no sequence)
+    this.adStates = []; // Per-ad playback and tracker state
+    this.adState = null; // State of the ad currently in the player
+    this.attemptedAds = new Set(); // Ads the player tried to play (the rest are notUsed)
+    this.sessionFinished = true; // Whether the current ad break is over
+    this.manualSelection = false; // Ad, creative or MediaFile picked by hand instead of the pod
+    this.isFullscreen = false;
+    this.mediaTimeoutMs = 10000; // MediaFile load timeout before error 402
+    this.mediaTimer = null;
+    this.contentVideoURL = null; // Content played under NonLinear overlays (set by the UI from its content video field)
+    this.deviceProfile = 'desktop'; // DEVICE_PROFILES key used to select MediaFiles
     this.eventLog = [];
     this.listeners = [];
     this.overlayListeners = [];
+    this.documentListeners = [];
+    this.nonLinearListeners = [];
+    this.viewability = this.createViewabilityMonitor();
+  }
+
+  /**
+   * Create the viewability monitor measuring the player container
+   * @returns {ViewabilityMonitor|null}
+   */
+  createViewabilityMonitor() {
+    if (typeof ViewabilityMonitor === 'undefined') {
+      console.warn('[VideoPlayer] ViewabilityMonitor not available - viewability not measured');
+      return null;
+    }
+
+    const monitor = new ViewabilityMonitor(this.video.parentElement, {
+      isPlaying: () => !this.video.paused && !this.video.ended
+    });
+
+    monitor.onViewable = () => this.concludeViewability('Viewable');
+    monitor.onChange = (measurement) => {
+      const state = this.adState;
+      const detail = { ...measurement, adId: state ? state.ad.id : null, verdict: state ? state.viewability : null };
+      document.dispatchEvent(new CustomEvent('viewabilitychange', { detail }));
+    };
+
+    return monitor;
+  }
+
+  /**
+   * Load VAST ad into player
+   * Ads with a sequence form a pod played back to back; stand-alone ads form
+   * a buffet and only the first one is played.
+   * @param {Object} vastData - Parsed VAST data
+   * @param {Object} trackingURLs - Tracking URLs from VAST
+   */
+  loadAd(vastData, trackingURLs) {
+    this.vastData = vastData;
+    this.trackingURLs = trackingURLs;
+    this.adStates = [];
+    this.adState = null;
+    this.attemptedAds = new Set();
+    this.sessionFinished = false;
+    this.manualSelection = false;
+
+    // Report wrapper chains that never reached an InLine ad
+    vastData.ads.filter(a => a.resolveError).forEach(a => {
+      this.reportError(a.resolveErrorCode, `Ad ${a.id}: ${a.resolveError}`, a.wrapperErrors, a.id);
+    });
+
+    const { pod, buffet } = this.buildAdQueue(vastData.ads);
+    this.adQueue = pod.length > 0 ? pod : buffet.slice(0, 1);
+    this.buffet = pod.length > 0 ? buffet : buffet.slice(1);
+
+    if (this.adQueue.length === 0) {
+      this.reportError(303, 'No inline ad found in VAST', vastData.errors || []);
+      return false;
+    }
+
+    if (pod.length > 0) {
+      this.logEvent('pod', `Ad pod with ${pod.length} ad${pod.length === 1 ? '' : 's'} (sequence ${pod.map(a => a.sequence).join(', ')})`);
+    }
+
+    // Start with the first ad that can be loaded
+    for (let index = 0; index < this.adQueue.length; index++) {
+      if (this.loadAdAt(index) || this.replaceWithBuffetAd(index)) {
+        return true;
+      }
+    }
+
+    this.finishAdSession();
+    return false;
+  }
+
+  /**
+   * Split ads into a pod (ordered by Ad@sequence) and a buffet of stand-alone ads
+   * @param {Array} ads - Parsed ads
+   * @returns {Object} { pod, buffet }
+   */
+  buildAdQueue(ads) {
+    const inlineAds = ads.filter(a => a.type === 'inline');
+
+    const pod = inlineAds
+      .filter(a => a.sequence !== null && !isNaN(parseInt(a.sequence)))
+      .sort((a, b) => parseInt(a.sequence) - parseInt(b.sequence));
+
+    const buffet = inlineAds.filter(a => !pod.includes(a));
+
+    return { pod, buffet };
+  }
+
+  /**
+   * Create playback and tracker state for a single ad
+   * Linear ads play their MediaFile; NonLinear ads are shown over the content video.
+   * @param {Object} ad - Parsed inline ad
+   * @param {Object} selection - { creative, mediaFile } picked by hand (optional)
+   * @returns {Object|null} Ad state, or null if the ad cannot be played
+   */
+  createAdState(ad, selection = {}) {
+    const picked = selection.creative || null;
+    const linear = picked ? (picked.type === 'linear' && picked) : ad.inline.creatives.find(c => c.type === 'linear');
+    const nonLinear = !linear && (picked ? (picked.type === 'nonlinear' && picked) : ad.inline.creatives.find(c => c.type === 'nonlinear'));
+
+    if (!linear && !nonLinear) {
+      this.reportError(201, `No linear or nonlinear creative found in ad ${ad.id}`, ad.inline.errors, ad.id);
+      return null;
+    }
+
+    const creativeState = linear ? this.createLinearState(ad, linear, selection.mediaFile) : this.createNonLinearState(ad, nonLinear);
+    if (!creativeState) {
+      return null;
+    }
+
+    return {
+      ad,
+      nonLinear: null, // NonLinear shown over the content (nonlinear ads only)
+      icons: [], // Icons drawn over the video (linear ads only)
+      captions: [], // ClosedCaptionFiles and their load / sync results (linear ads only)
+      ...creativeState,
+      attempts: [], // Abandoned media files and the reason
+      skip: {
+        offset: creativeState.creative.data.skipoffset || null, // Declared skipoffset (null when not skippable)
+        availableAt: null, // Video time when the Skip button became available
+        skipped: false
+      },
+      stopped: false, // Skipped or closed: tracking stops progressing
+      viewability: null, // ViewableImpression bucket fired for this ad
+      paused: false, // Paused by the viewer, so the next play is a resume
+      lastTime: 0, // Last playhead position, to detect rewinds
+      muted: this.video.muted || this.video.volume === 0, // Last audible state, for mute/unmute
+      eventsFired: {
+        loaded: false,
+        creativeView: false
+      },
+      quartilesFired: {
+        start: false,
+        firstQuartile: false,
+        midpoint: false,
+        thirdQuartile: false,
+        complete: false
+      }
+    };
+  }
+
+  /**
+   * Creative state of a linear ad
+   * @param {Object} ad - Parsed inline ad
+   * @param {Object} creative - Linear creative
+   * @param {Object|null} pickedMediaFile - MediaFile picked by hand: played without fallbacks
+   * @returns {Object|null} null if no MediaFile can be played
+   */
+  createLinearState(ad, creative, pickedMediaFile = null) {
+    // Rank compatible media files; the first one is played, the rest are fallbacks
+    const mediaFiles = pickedMediaFile ? [pickedMediaFile] : this.getMediaFileCandidates(creative.data.mediaFiles);
+    if (mediaFiles.length === 0) {
+      this.reportError(403, `No compatible media file found in ad ${ad.id}`, ad.inline.errors, ad.id);
+      return null;
+    }
+
+    return {
+      creative,
+      mediaFile: mediaFiles[0],
+      mediaFiles,
+      trackingURLs: this.buildTrackingURLs(ad, creative),
+      icons: (creative.data.icons || []).map(icon => ({
+        icon,
+        resource: ResourceRenderer.select(icon.resources),
+        element: null, // Rendered icon while inside its time window
+        viewed: false
+      }))
+    };
+  }
+
+  /**
+   * Creative state of a nonlinear ad: the content video plays and the first
+   * NonLinear with a displayable resource is shown over it
+   * @param {Object} ad - Parsed inline ad
+   * @param {Object} creative - NonLinearAds creative
+   * @returns {Object|null} null if no NonLinear resource can be displayed
+   */
+  createNonLinearState(ad, creative) {
+    let resource = null;
+    const nonLinear = creative.data.nonLinears.find(nl => (resource = ResourceRenderer.select(nl.resources)));
+    if (!nonLinear) {
+      this.reportError(503, `No NonLinear resource with a supported type in ad ${ad.id}`, ad.inline.errors, ad.id);
+      return null;
+    }
+
+    const content = { url: this.contentVideoURL, type: 'video/mp4', isContent: true };
+    const clicks = [];
+
+    if (nonLinear.clickThrough) {
+      clicks.push({ type: 'nonLinearClickThrough', url: nonLinear.clickThrough });
+    }
+    nonLinear.clickTracking.forEach(url => {
+      clicks.push({ type: 'nonLinearClickTracking', url: url });
+    });
+
+    return {
+      creative,
+      nonLinear,
+      resource,
+      mediaFile: content,
+      mediaFiles: [content],
+      trackingURLs: {
+        impressions: ad.inline.impressions.map(url => ({ url: url, id: null })),
+        clicks: clicks,
+        tracking: creative.data.trackingEvents.map(t => ({ ...t, fired: false })),
+        errors: ad.inline.errors || []
+      },
+      overlay: {
+        shown: false,
+        collapsed: false,
+        closed: false,
+        hideAt: null // Content time when minSuggestedDuration is reached
+      }
+    };
+  }
+
+  /**
+   * Build the tracking URLs of a single ad (wrapper tracking already merged)
+   * @param {Object} ad - Parsed inline ad
+   * @param {Object} creative - Linear creative being played
+   * @returns {Object} Tracking URLs in the same shape as VASTParser.getTrackingURLs()
+   */
+  buildTrackingURLs(ad, creative) {
+    const videoClicks = creative.data.videoClicks;
+    const clicks = [];
+
+    if (videoClicks.clickThrough) {
+      clicks.push({ type: 'clickThrough', url: videoClicks.clickThrough });
+    }
+    (videoClicks.clickTracking || []).forEach(url => {
+      clicks.push({ type: 'clickTracking', url: url });
+    });
+
+    return {
+      impressions: ad.inline.impressions.map(url => ({ url: url, id: null })),
+      clicks: clicks,
+      tracking: creative.data.trackingEvents.map(t => ({ ...t, fired: false })),
+      errors: ad.inline.errors || []
+    };
+  }
+
+  /**
+   * Play an ad, creative or MediaFile picked by hand, with fresh tracking
+   * state: its trackers fire again and no pod or buffet ad plays around it
+   * @param {Object} ad - Inline ad
+   * @param {Object|null} creative - Creative to play (the ad's first linear or nonlinear creative when omitted)
+   * @param {Object|null} mediaFile - MediaFile to play (the device profile's choice when omitted)
+   * @returns {boolean} true if the selection was loaded
+   */
+  playSelection(ad, creative = null, mediaFile = null) {
+    if (!ad || !ad.inline) return false;
+
+    const parts = [`ad ${ad.id}`];
+    if (creative) parts.push(`creative ${creative.id || `#${ad.inline.creatives.indexOf(creative) + 1}`} (${creative.type})`);
+    if (mediaFile) parts.push(`MediaFile ${this.describeMediaFile(mediaFile)}`);
+    this.logEvent('manual-select', `Playing ${parts.join(', ')} (picked by hand, tracking reset)`);
+
+    this.tracker.resetAd(ad.id);
+    this.manualSelection = true;
+    this.sessionFinished = false;
+    this.adQueue = [ad];
+    this.buffet = [];
+    this.adStates = [];
+
+    if (!this.loadAdAt(0, { creative, mediaFile })) {
+      this.finishAdSession();
+      return false;
+    }
+
+    this.play();
+    return true;
+  }
+
+  /**
+   * Load the ad at a queue position into the player
+   * @param {number} index - Position in the ad queue
+   * @param {Object} selection - { creative, mediaFile } picked by hand (optional)
+   * @returns {boolean} true if the ad was loaded
+   */
+  loadAdAt(index, selection = {}) {
+    const ad = this.adQueue[index];
+    this.attemptedAds.add(ad);
+
+    // The ad leaving the player gets its viewability verdict
+    this.endViewability();
+    this.hideNonLinear();
+    this.clearIcons();
+    this.clearCaptions();
+
+    const state = this.createAdState(ad, selection);
+    if (!state) {
+      return false;
+    }
+
+    this.adStates[index] = state;
+    this.adState = state;
+    this.loadMediaFile(state.mediaFile);
+    this.resetSkipControl();
+
+    // SIMID creatives handle their own close control; overlays have their own
+    if (this.closeButton) {
+      this.closeButton.classList.toggle('hidden', this.isSIMID || !!state.nonLinear);
+    }
+
+    const position = this.adQueue.length > 1 ? ` [${index + 1}/${this.adQueue.length}]` : '';
+    const kind = this.isSIMID ? ' (SIMID Interactive)' : (state.nonLinear ? ' (NonLinear overlay)' : '');
+    this.logEvent('ad-loaded', `Ad loaded${position}: ${ad.inline.adTitle || 'Untitled'}${kind}`);
+
+    // Fire impression trackers with initial context
+    const context = this.getVideoContext();
+    this.tracker.fireImpressions(state.trackingURLs.impressions, context);
+
+    this.showCompanions();
+    this.startViewability();
+
+    if (!state.nonLinear && !this.isSIMID) {
+      this.loadCaptions(state);
+    }
+
+    state.icons.filter(i => !i.resource).forEach(({ icon }) => {
+      this.logEvent('warning', `Icon ${icon.program || '(no program)'} has no resource with a supported type and cannot be displayed`);
+    });
+
+    return true;
+  }
+
+  /**
+   * Start measuring the viewability of the ad in the player
+   */
+  startViewability() {
+    if (!this.viewability) return;
+
+    const measurement = this.viewability.start();
+    if (measurement.status === 'undetermined') {
+      this.concludeViewability('ViewUndetermined');
+    }
+  }
+
+  /**
+   * Stop measuring; an ad that never met the standard was not viewable
+   */
+  endViewability() {
+    if (!this.viewability || !this.adState) return;
+
+    this.viewability.stop();
+    this.concludeViewability('NotViewable');
+  }
+
+  /**
+   * Fire the ViewableImpression URLs of the current ad's outcome (once per ad)
+   * @param {string} bucket - Viewable, NotViewable or ViewUndetermined
+   */
+  concludeViewability(bucket) {
+    const state = this.adState;
+    if (!state || state.viewability) return;
+
+    state.viewability = bucket;
+
+    const outcomes = {
+      Viewable: { type: 'viewable', key: 'viewable', message: 'Viewable: 50% of the player in view for 2 continuous seconds of playback' },
+      NotViewable: { type: 'not-viewable', key: 'notViewable', message: 'Not viewable: the ad ended without meeting the 50%/2s standard' },
+      ViewUndetermined: { type: 'view-undetermined', key: 'viewUndetermined', message: 'View undetermined: IntersectionObserver is not available' }
+    };
+    const outcome = outcomes[bucket];
+    this.logEvent(outcome.type, outcome.message);
+
+    const viewableImpression = state.ad.inline.viewableImpression;
+    const urls = viewableImpression ? viewableImpression[outcome.key] : [];
+    if (urls.length > 0) {
+      this.tracker.fireViewabilityTrackers(bucket, urls, this.getVideoContext());
+      this.logEvent('tracking', `Fired ${bucket} tracking`);
+    }
+
+    // Show the verdict on the meter
+    if (this.viewability) {
+      this.viewability.emitChange();
+    }
+  }
+
+  /**
+   * Load a media file into the video element or the SIMID iframe
+   * @param {Object} mediaFile - Media file to play
+   */
+  loadMediaFile(mediaFile) {
+    this.clearMediaTimeout();
+
+    // Tear down a previous SIMID session before switching creatives
+    if (this.simidBridge) {
+      this.simidBridge.destroy();
+      this.simidBridge = null;
+    }
+    this.destroyStreamLoader();
+
+    // Check if this is a SIMID interactive creative
+    if (mediaFile.isSIMID && mediaFile.isInteractive) {
+      // Load SIMID in iframe
+      this.loadSIMID(mediaFile);
+      this.isSIMID = true;
+    } else {
+      if (!mediaFile.isContent) {
+        this.logEvent('rendition', `Active MediaFile: ${this.describeMediaFile(mediaFile)}${mediaFile.bitrate ? ` @ ${mediaFile.bitrate}kbps` : ''}`);
+      }
+
+      // Load regular video; HLS and DASH renditions go through the stream loader
+      const protocol = typeof StreamLoader !== 'undefined' ? StreamLoader.getProtocol(mediaFile) : null;
+      if (protocol) {
+        this.loadStream(mediaFile, protocol);
+      } else {
+        this.video.src = mediaFile.url;
+      }
+      this.setupEventListeners();
+
+      // Content under an overlay is not an ad MediaFile (no error 402)
+      if (!mediaFile.isContent) {
+        this.startMediaTimeout();
+      }
+
+      // Show video, hide iframe
+      this.video.classList.remove('hidden');
+      if (this.simidIframe) {
+        this.simidIframe.classList.add('hidden');
+      }
+
+      this.isSIMID = false;
+    }
+
+    // Enable click overlay for click tracking (only for linear video ads)
+    if (this.clickOverlay) {
+      this.clickOverlay.classList.toggle('disabled', this.isSIMID || !!mediaFile.isContent);
+    }
+  }
+
+  /**
+   * Play a streaming media file (HLS or DASH) through Media Source Extensions
+   * @param {Object} mediaFile - Streaming media file
+   * @param {string} protocol - 'hls' or 'dash'
+   */
+  loadStream(mediaFile, protocol) {
+    const state = this.adState;
+    this.logEvent('stream', `Loading ${protocol.toUpperCase()} stream: ${mediaFile.url.substring(0, 80)}`);
+
+    this.streamLoader = new StreamLoader(this.video, {
+      onEvent: (type, message) => this.logEvent(type, message),
+      onError: (error) => this.onStreamError(error, state)
+    });
+    this.streamLoader.load(mediaFile.url, protocol);
+  }
+
+  /**
+   * A manifest or segment failed to load, or no rendition can be played
+   * (decode failures surface through the video element's error event instead)
+   * @param {VASTError} error - Failure with its VAST error code
+   * @param {Object} state - Ad state the stream was loaded for
+   */
+  onStreamError(error, state) {
+    this.clearMediaTimeout();
+
+    if (state.mediaFile.isContent) {
+      this.logEvent('error', `Content video failed: ${error.message}`);
+      return;
+    }
+
+    this.reportError(error.code, error.message, state.trackingURLs.errors, state.ad.id);
+    this.recoverFromError(error.message);
+  }
+
+  /**
+   * Stop the stream loader of the previous media file
+   */
+  destroyStreamLoader() {
+    if (this.streamLoader) {
+      this.streamLoader.destroy();
+      this.streamLoader = null;
+    }
+  }
+
+  /**
+   * Display the NonLinear of the current ad over the content video
+   */
+  showNonLinear() {
+    const state = this.adState;
+    const overlay = state.overlay;
+    if (!this.nonLinearOverlay || overlay.shown || overlay.closed) return;
+
+    const nonLinear = state.nonLinear;
+    const width = parseInt(nonLinear.width) || null;
+    const height = parseInt(nonLinear.height) || null;
+
+    // A fixed-size NonLinear must fit the player
+    const area = this.video.parentElement;
+    const tooWide = width && area.clientWidth && width > area.clientWidth;
+    const tooTall = height && area.clientHeight && height > area.clientHeight;
+    if (!nonLinear.scalable && (tooWide || tooTall)) {
+      this.reportError(501, `NonLinear ${width}x${height} is not scalable and does not fit the ${area.clientWidth}x${area.clientHeight} player`, state.trackingURLs.errors, state.ad.id);
+      overlay.closed = true;
+      return;
+    }
+
+    const element = ResourceRenderer.render(state.resource, {
+      width,
+      height,
+      title: state.ad.inline.adTitle || 'NonLinear ad',
+      onError: () => {
+        this.reportError(502, `Unable to fetch NonLinear resource ${state.resource.content.substring(0, 80)}`, state.trackingURLs.errors, state.ad.id);
+        this.hideNonLinear();
+      }
+    });
+
+    const slot = this.nonLinearOverlay.querySelector('.nonlinear-slot');
+    slot.replaceChildren(element);
+
+    // Declared size, scaled down with the player when it does not fit
+    const keepRatio = width && height && nonLinear.maintainAspectRatio;
+    slot.style.width = width ? `${width}px` : '';
+    slot.style.height = height && !keepRatio ? `${height}px` : '';
+    slot.style.aspectRatio = keepRatio ? `${width} / ${height}` : '';
+
+    // Clicks inside iframes cannot be observed, so a layer catches them when the ad has a click-through
+    if (state.resource.type !== 'static' && nonLinear.clickThrough) {
+      const clickLayer = document.createElement('div');
+      clickLayer.className = 'resource-click-layer';
+      slot.appendChild(clickLayer);
+    }
+
+    const duration = this.resolveOffset(nonLinear.minSuggestedDuration, null);
+    overlay.shown = true;
+    overlay.hideAt = duration !== null ? this.video.currentTime + duration : null;
+
+    this.nonLinearOverlay.classList.remove('hidden', 'collapsed');
+    this.logEvent('overlay-shown', `NonLinear displayed: ${ResourceRenderer.describe(state.resource)}${width && height ? ` ${width}x${height}` : ''}${duration !== null ? `, for ${duration}s (minSuggestedDuration)` : ''}`);
+    this.fireTrackingEvent('creativeView');
+  }
+
+  /**
+   * Display the companions of the current ad in the companion zone and
+   * enforce the CompanionAds required attribute
+   */
+  showCompanions() {
+    this.clearCompanions();
+
+    const state = this.adState;
+    const errors = state.trackingURLs.errors;
+    const companionAds = state.ad.inline.creatives.filter(c => c.type === 'companion');
+
+    companionAds.forEach(creative => {
+      const { required, companions } = creative.data;
+      let displayed = 0;
+
+      companions.forEach(companion => {
+        const resource = ResourceRenderer.select(companion.resources);
+        if (!resource) {
+          this.reportError(604, `Companion ${companion.id || companion.width + 'x' + companion.height} has no resource with a supported type`, errors, state.ad.id);
+          return;
+        }
+
+        this.showCompanion(companion, resource);
+        displayed++;
+      });
+
+      // required="all": every companion must be shown; "any": at least one
+      if ((required === 'all' && displayed < companions.length) || (required === 'any' && displayed === 0)) {
+        this.reportError(602, `Required companion cannot be displayed (required="${required}", ${displayed}/${companions.length} shown)`, errors, state.ad.id);
+      }
+    });
+  }
+
+  /**
+   * Render one companion and fire its creativeView tracking
+   * @param {Object} companion - Parsed companion
+   * @param {Object} resource - Resource to display
+   */
+  showCompanion(companion, resource) {
+    if (!this.companionZone) return;
+
+    const state = this.adState;
+    const width = parseInt(companion.width) || null;
+    const height = parseInt(companion.height) || null;
+    const size = width && height ? `${width}x${height}` : 'size not declared';
+
+    const card = document.createElement('div');
+    card.className = 'companion';
+
+    const label = document.createElement('div');
+    label.className = 'companion-label';
+    label.textContent = `${size} · ${ResourceRenderer.describe(resource)}`;
+    card.appendChild(label);
+
+    const slot = document.createElement('div');
+    slot.className = 'companion-slot';
+    slot.title = companion.altText || '';
+    slot.appendChild(ResourceRenderer.render(resource, {
+      width,
+      height,
+      title: companion.altText || state.ad.inline.adTitle || 'Companion ad',
+      onError: () => {
+        this.reportError(603, `Unable to fetch companion resource ${resource.content.substring(0, 80)}`, state.trackingURLs.errors, state.ad.id);
+        card.classList.add('failed');
+      }
+    }));
+
+    // Clicks inside iframes cannot be observed, so a layer catches them when the companion has a click-through
+    if (resource.type !== 'static' && companion.clickThrough) {
+      const clickLayer = document.createElement('div');
+      clickLayer.className = 'resource-click-layer';
+      slot.appendChild(clickLayer);
+    }
+
+    slot.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.onCompanionClick(companion, state);
+    });
+
+    card.appendChild(slot);
+    this.companionZone.appendChild(card);
+
+    this.logEvent('companion-view', `Companion displayed: ${size}${companion.adSlotId ? ` (slot ${companion.adSlotId})` : ''}`);
+
+    if (companion.trackingEvents.some(t => t.event === 'creativeView')) {
+      this.tracker.fireEventTrackers('creativeView', companion.trackingEvents, this.getVideoContext());
+      this.logEvent('tracking', 'Fired companion creativeView tracking');
+    }
+  }
+
+  /**
+   * Fire the click trackers of a companion and open its click-through
+   * @param {Object} companion - Parsed companion
+   * @param {Object} state - State of the ad the companion belongs to
+   */
+  onCompanionClick(companion, state) {
+    this.logEvent('companion-click', `Companion clicked: ${companion.width || '?'}x${companion.height || '?'}`);
+
+    const context = { ...this.getVideoContext(), adId: state.ad.id };
+    const clicks = companion.clickTracking.map(url => ({ type: 'companionClickTracking', url: url }));
+    this.tracker.fireClicks(clicks, context);
+
+    if (companion.clickThrough) {
+      window.open(companion.clickThrough, '_blank');
+    }
+  }
+
+  /**
+   * Draw or remove the icons of the current ad according to their offset and duration
+   */
+  updateIcons() {
+    const state = this.adState;
+    if (!this.iconLayer) return;
+
+    const time = this.video.currentTime;
+    state.icons.forEach(iconState => {
+      if (!iconState.resource) return;
+
+      const icon = iconState.icon;
+      const start = this.resolveOffset(icon.offset, this.video.duration) || 0;
+      const duration = this.resolveOffset(icon.duration, this.video.duration);
+      const visible = time >= start && (duration === null || time < start + duration);
+
+      if (visible && !iconState.element) {
+        this.showIcon(iconState);
+      } else if (!visible && iconState.element) {
+        iconState.element.remove();
+        iconState.element = null;
+        this.logEvent('icon-hidden', `Icon ${icon.program || '(no program)'} removed at ${time.toFixed(2)}s`);
+      }
+    });
+  }
+
+  /**
+   * Draw an icon at its declared position and fire IconViewTracking the first time
+   * @param {Object} iconState - Icon and its display state
+   */
+  showIcon(iconState) {
+    const icon = iconState.icon;
+    const width = parseInt(icon.width) || null;
+    const height = parseInt(icon.height) || null;
+
+    const element = document.createElement('div');
+    element.className = 'ad-icon';
+    element.title = icon.program || 'Icon';
+
+    // xPosition: left, right or pixels from the left; yPosition: top, bottom or pixels from the top
+    if (icon.xPosition === 'right') {
+      element.style.right = '0';
+    } else {
+      element.style.left = `${parseInt(icon.xPosition) || 0}px`;
+    }
+    if (icon.yPosition === 'bottom') {
+      element.style.bottom = '0';
+    } else {
+      element.style.top = `${parseInt(icon.yPosition) || 0}px`;
+    }
+
+    element.appendChild(ResourceRenderer.render(iconState.resource, { width, height, title: icon.program || 'Icon' }));
+
+    if (iconState.resource.type !== 'static') {
+      const clickLayer = document.createElement('div');
+      clickLayer.className = 'resource-click-layer';
+      element.appendChild(clickLayer);
+    }
+
+    element.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.onIconClick(iconState);
+    });
+
+    this.iconLayer.appendChild(element);
+    iconState.element = element;
+
+    const position = `${icon.xPosition || 'left'}/${icon.yPosition || 'top'}`;
+    this.logEvent('icon-view', `Icon ${icon.program || '(no program)'} displayed ${width || '?'}x${height || '?'} at ${position}`);
+
+    if (!iconState.viewed) {
+      iconState.viewed = true;
+      if (icon.viewTracking.length > 0) {
+        this.tracker.fireIconViewTrackers(icon.viewTracking, this.getVideoContext());
+        this.logEvent('tracking', `Fired IconViewTracking for ${icon.program || 'icon'}`);
+      }
+    }
+  }
+
+  /**
+   * Fire IconClickTracking and open the icon click-through, or show the
+   * IconClickFallbackImage when there is no click-through (e.g. CTV)
+   * @param {Object} iconState - Icon and its display state
+   */
+  onIconClick(iconState) {
+    const icon = iconState.icon;
+    this.logEvent('icon-click', `Icon ${icon.program || '(no program)'} clicked`);
+
+    const clicks = icon.clickTracking.map(url => ({ type: 'iconClickTracking', url: url }));
+    this.tracker.fireClicks(clicks, this.getVideoContext());
+
+    if (icon.clickThrough) {
+      this.pause();
+      window.open(icon.clickThrough, '_blank');
+      return;
+    }
+
+    const fallback = icon.clickFallbackImages.find(image => ResourceRenderer.select(image.resources));
+    if (fallback) {
+      this.pause();
+      this.showIconFallback(icon, fallback);
+    }
+  }
+
+  /**
+   * Show an IconClickFallbackImage over the video until it is closed
+   * @param {Object} icon - Parsed icon
+   * @param {Object} image - Fallback image
+   */
+  showIconFallback(icon, image) {
+    const panel = document.createElement('div');
+    panel.className = 'icon-fallback';
+
+    const width = parseInt(image.width) || null;
+    const height = parseInt(image.height) || null;
+    panel.appendChild(ResourceRenderer.render(ResourceRenderer.select(image.resources), {
+      width,
+      height,
+      title: image.altText || icon.program || 'Icon'
+    }));
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'icon-fallback-close';
+    close.setAttribute('aria-label', 'Close');
+    close.innerHTML = '<i class="fas fa-times"></i>';
+    close.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      panel.remove();
+    });
+    panel.appendChild(close);
+
+    this.iconLayer.appendChild(panel);
+    this.logEvent('icon-fallback', `Showing IconClickFallbackImage for ${icon.program || 'icon'}${image.altText ? `: ${image.altText}` : ''}`);
+  }
+
+  /**
+   * Remove every icon from the video
+   */
+  clearIcons() {
+    if (this.iconLayer) {
+      this.iconLayer.replaceChildren();
+    }
+    if (this.adState) {
+      this.adState.icons.forEach(iconState => {
+        iconState.element = null;
+      });
+    }
+  }
+
+  /**
+   * Attach the ClosedCaptionFiles of an ad to the video as WebVTT tracks,
+   * converting SRT and SCC files, and report files that cannot be used
+   * @param {Object} state - Ad state
+   */
+  async loadCaptions(state) {
+    const files = state.creative.data.closedCaptionFiles || [];
+    state.captions = files.map(file => ({
+      file,
+      status: 'loading', // loading, ok, missing, unreadable or unsupported
+      format: null,
+      cues: [],
+      url: null, // Blob URL of the WebVTT given to the <track>
+      track: null,
+      findings: [], // Load findings
+      syncFindings: [] // Timing checked against the video duration
+    }));
+    this.emitCaptions(state);
+
+    if (files.length === 0) {
+      this.logEvent('caption-error', `No ClosedCaptionFiles declared for ad ${state.ad.id}`);
+      return;
+    }
+
+    await Promise.all(state.captions.map(caption => this.loadCaption(caption)));
+
+    // The viewer may have moved on to another ad meanwhile
+    if (state !== this.adState) {
+      state.captions.forEach(caption => caption.url && URL.revokeObjectURL(caption.url));
+      return;
+    }
+
+    this.attachCaptionTracks(state);
+    this.checkCaptionSync(state);
+    this.emitCaptions(state);
+  }
+
+  /**
+   * Fetch a caption file and convert it to WebVTT
+   * @param {Object} caption - Caption state
+   */
+  async loadCaption(caption) {
+    const label = this.describeCaption(caption);
+
+    let text;
+    try {
+      const response = await fetch(caption.file.url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      text = await response.text();
+    } catch (error) {
+      caption.status = 'missing';
+      caption.findings.push(`File could not be fetched (${error.message})`);
+      this.logEvent('caption-error', `Caption file ${label} could not be fetched: ${error.message}`);
+      return;
+    }
+
+    caption.format = CaptionConverter.detectFormat(text, caption.file.type);
+    if (!caption.format || caption.format === 'ttml') {
+      caption.status = 'unsupported';
+      caption.findings.push(caption.format ? 'TTML captions are not converted to WebVTT' : 'Format not recognized (expected WebVTT, SRT or SCC)');
+      this.logEvent('caption-error', `Caption file ${label} cannot be displayed: ${caption.findings[0]}`);
+      return;
+    }
+
+    const declared = caption.file.type ? CaptionConverter.detectFormat('', caption.file.type) : null;
+    if (declared && declared !== caption.format) {
+      caption.findings.push(`Declared as ${caption.file.type} but the file is ${caption.format.toUpperCase()}`);
+    }
+
+    caption.cues = CaptionConverter.parse(text, caption.format);
+    if (caption.cues.length === 0) {
+      caption.status = 'unreadable';
+      caption.findings.push(`No cues could be read from the ${caption.format.toUpperCase()} file`);
+      this.logEvent('caption-error', `Caption file ${label} has no readable cues`);
+      return;
+    }
+
+    const vtt = caption.format === 'vtt' ? text : CaptionConverter.toWebVTT(caption.cues);
+    caption.url = URL.createObjectURL(new Blob([vtt], { type: 'text/vtt' }));
+    caption.status = 'ok';
+
+    const converted = caption.format === 'vtt' ? '' : `, converted from ${caption.format.toUpperCase()} to WebVTT`;
+    this.logEvent('captions', `Caption file ${label} loaded: ${caption.cues.length} cues${converted}`);
+  }
+
+  /**
+   * Add a <track> per readable caption file, showing the one in the browser's language
+   * @param {Object} state - Ad state
+   */
+  attachCaptionTracks(state) {
+    const readable = state.captions.filter(c => c.status === 'ok');
+    if (readable.length === 0) return;
+
+    readable.forEach(caption => {
+      const track = document.createElement('track');
+      track.kind = 'captions';
+      track.src = caption.url;
+      track.label = this.describeCaption(caption);
+      if (caption.file.language) {
+        track.srclang = caption.file.language;
+      }
+      this.video.appendChild(track);
+      caption.track = track;
+    });
+
+    const language = (navigator.language || '').split('-')[0].toLowerCase();
+    const preferred = readable.find(c => (c.file.language || '').split('-')[0].toLowerCase() === language) || readable[0];
+    this.selectCaption(state.captions.indexOf(preferred));
+  }
+
+  /**
+   * Show one caption track, or none
+   * @param {number} index - Index in the ad's caption files, -1 for off
+   */
+  selectCaption(index) {
+    const state = this.adState;
+    if (!state) return;
+
+    state.captions.forEach((caption, i) => {
+      if (caption.track && caption.track.track) {
+        caption.track.track.mode = i === index ? 'showing' : 'disabled';
+      }
+    });
+
+    const selected = state.captions[index];
+    this.logEvent('captions', selected && selected.track ? `Showing captions: ${this.describeCaption(selected)}` : 'Captions turned off');
+    this.emitCaptions(state);
+  }
+
+  /**
+   * Check the cue timing of the readable caption files against the video duration
+   * @param {Object} state - Ad state
+   */
+  checkCaptionSync(state) {
+    const duration = this.video.duration;
+    if (!duration || !isFinite(duration)) return;
+
+    state.captions.filter(c => c.status === 'ok').forEach(caption => {
+      const findings = [];
+      const lastEnd = Math.max(...caption.cues.map(cue => cue.end));
+      const inverted = caption.cues.filter(cue => cue.end <= cue.start).length;
+
+      if (caption.cues[0].start >= duration) {
+        findings.push(`No cue starts before the end of the ${duration.toFixed(2)}s video`);
+      } else if (lastEnd > duration + 0.5) {
+        findings.push(`Cues run until ${lastEnd.toFixed(2)}s, past the end of the ${duration.toFixed(2)}s video`);
+      }
+      if (inverted > 0) {
+        findings.push(`${inverted} cue${inverted === 1 ? ' ends' : 's end'} before ${inverted === 1 ? 'it starts' : 'they start'}`);
+      }
+
+      if (findings.length > 0 && caption.syncFindings.join() !== findings.join()) {
+        findings.forEach(finding => this.logEvent('caption-error', `Caption file ${this.describeCaption(caption)}: ${finding}`));
+      }
+      caption.syncFindings = findings;
+    });
+  }
+
+  /**
+   * Share the caption state of an ad with the UI
+   * @param {Object|null} state - Ad state, or null when no captions apply
+   */
+  emitCaptions(state) {
+    const detail = state ? {
+      adId: state.ad.id,
+      captions: state.captions.map(caption => ({
+        language: caption.file.language,
+        type: caption.file.type,
+        url: caption.file.url,
+        label: this.describeCaption(caption),
+        status: caption.status,
+        format: caption.format,
+        cueCount: caption.cues.length,
+        showing: !!(caption.track && caption.track.track && caption.track.track.mode === 'showing'),
+        findings: caption.findings.concat(caption.syncFindings)
+      }))
+    } : null;
+
+    document.dispatchEvent(new CustomEvent('captionschange', { detail }));
+  }
+
+  /**
+   * Remove the caption tracks of the previous ad
+   */
+  clearCaptions() {
+    this.video.querySelectorAll('track').forEach(track => track.remove());
+
+    if (this.adState) {
+      this.adState.captions.forEach(caption => {
+        if (caption.url) {
+          URL.revokeObjectURL(caption.url);
+        }
+        caption.url = null;
+        caption.track = null;
+      });
+    }
+    this.emitCaptions(null);
   }
 
   /**
-   * Load VAST ad into player
-   * @param {Object} vastData - Parsed VAST data
-   * @param {Object} trackingURLs - Tracking URLs from VAST
+   * Short description of a caption file for the event log
    */
-  loadAd(vastData, trackingURLs) {
-    this.vastData = vastData;
-    this.trackingURLs = trackingURLs;
-    this.quartilesFired = {
-      start: false,
-      firstQuartile: false,
-      midpoint: false,
-      thirdQuartile: false,
-      complete: false
-    };
+  describeCaption(caption) {
+    return `${caption.file.language || 'unknown language'} (${caption.file.type || 'no type'})`;
+  }
 
-    // Get the first inline ad
-    const ad = vastData.ads.find(a => a.type === 'inline');
-    if (!ad) {
-      this.logEvent('error', 'No inline ad found in VAST');
-      return false;
+  /**
+   * Empty the companion zone
+   */
+  clearCompanions() {
+    if (this.companionZone) {
+      this.companionZone.replaceChildren();
     }
+  }
 
-    // Get linear creative
-    const creative = ad.inline.creatives.find(c => c.type === 'linear');
-    if (!creative) {
-      this.logEvent('error', 'No linear creative found');
-      return false;
+  /**
+   * Remove the NonLinear overlay
+   * @param {string} reason - Why the overlay was removed (logged when set)
+   */
+  hideNonLinear(reason = null) {
+    if (!this.nonLinearOverlay || this.nonLinearOverlay.classList.contains('hidden')) return;
+
+    this.nonLinearOverlay.classList.add('hidden');
+    this.nonLinearOverlay.querySelector('.nonlinear-slot').replaceChildren();
+
+    if (reason) {
+      this.logEvent('overlay-hidden', `NonLinear removed: ${reason}`);
     }
+  }
 
-    // Select best media file
-    const mediaFile = this.selectMediaFile(creative.data.mediaFiles);
-    if (!mediaFile) {
-      this.logEvent('error', 'No compatible media file found');
-      return false;
+  /**
+   * Remove the overlay once its minSuggestedDuration has been shown
+   */
+  updateNonLinear() {
+    const overlay = this.adState.overlay;
+    if (overlay.shown && overlay.hideAt !== null && this.video.currentTime >= overlay.hideAt) {
+      overlay.hideAt = null;
+      this.hideNonLinear('minSuggestedDuration reached');
     }
+  }
 
-    // Check if this is a SIMID interactive creative
-    if (mediaFile.isSIMID && mediaFile.isInteractive) {
-      // Load SIMID in iframe
-      this.loadSIMID(mediaFile);
-      this.isSIMID = true;
+  onNonLinearClick() {
+    const state = this.adState;
+    this.logEvent('overlay-click', 'NonLinear clicked');
+
+    // Clicking the overlay pauses the content and opens the advertiser page
+    this.tracker.fireClicks(state.trackingURLs.clicks, this.getVideoContext());
+    this.fireTrackingEvent('acceptInvitation');
+
+    if (state.nonLinear.clickThrough) {
+      this.pause();
+      window.open(state.nonLinear.clickThrough, '_blank');
+    }
+  }
+
+  onNonLinearCollapse() {
+    const overlay = this.adState.overlay;
+    overlay.collapsed = !overlay.collapsed;
+    this.nonLinearOverlay.classList.toggle('collapsed', overlay.collapsed);
+
+    // collapse/expand (VAST 2-3) and adCollapse/adExpand (VAST 4)
+    if (overlay.collapsed) {
+      this.logEvent('overlay-collapse', 'NonLinear collapsed');
+      this.fireTrackingEvent('collapse');
+      this.fireTrackingEvent('adCollapse');
     } else {
-      // Load regular video
-      this.video.src = mediaFile.url;
-      this.setupEventListeners();
+      this.logEvent('overlay-expand', 'NonLinear expanded');
+      this.fireTrackingEvent('expand');
+      this.fireTrackingEvent('adExpand');
+    }
+  }
 
-      // Show video, hide iframe
-      this.video.classList.remove('hidden');
-      if (this.simidIframe) {
-        this.simidIframe.classList.add('hidden');
+  onNonLinearClose() {
+    const state = this.adState;
+    state.overlay.closed = true;
+    this.hideNonLinear();
+
+    this.logEvent('overlay-close', 'NonLinear closed by the viewer');
+    this.fireTrackingEvent('close');
+  }
+
+  /**
+   * Play the next ad in the pod, skipping ads that cannot be loaded
+   * @returns {boolean} true if another ad started
+   */
+  playNextAd() {
+    let index = this.adQueue.indexOf(this.adState.ad) + 1;
+
+    while (index < this.adQueue.length) {
+      if (this.loadAdAt(index) || this.replaceWithBuffetAd(index)) {
+        this.play();
+        return true;
       }
+      index++;
+    }
 
-      this.isSIMID = false;
+    return false;
+  }
+
+  /**
+   * Put the next stand-alone buffet ad in place of a failed ad
+   * @param {number} index - Queue position of the failed ad
+   * @returns {boolean} true if a buffet ad was loaded
+   */
+  replaceWithBuffetAd(index) {
+    while (this.buffet.length > 0) {
+      const buffetAd = this.buffet.shift();
+      this.logEvent('fallback', `Trying stand-alone ad ${buffetAd.id} (${buffetAd.inline.adTitle || 'Untitled'}) from the buffet in place of ad ${this.adQueue[index].id}`);
+      this.adQueue[index] = buffetAd;
+
+      if (this.loadAdAt(index)) {
+        return true;
+      }
+      this.logEvent('fallback', `Stand-alone ad ${buffetAd.id} abandoned: it cannot be played`);
     }
 
-    // Enable click overlay for click tracking (only for regular video)
-    if (this.clickOverlay && !this.isSIMID) {
-      this.clickOverlay.classList.remove('disabled');
+    return false;
+  }
+
+  /**
+   * Recover from a failed creative the way a VAST 3/4 player would: try the
+   * next compatible MediaFile, then a stand-alone ad from the buffet, then
+   * the rest of the pod.
+   * @param {string} reason - Why the current media file was abandoned
+   * @returns {boolean} true if an alternative was loaded
+   */
+  recoverFromError(reason) {
+    const state = this.adState;
+    if (!state || state.abandoned) return false;
+
+    // Resume playback only if the failed creative had already started
+    const resume = state.quartilesFired.start;
+
+    state.attempts.push({ mediaFile: state.mediaFile, reason });
+    this.logEvent('fallback', `MediaFile abandoned (${this.describeMediaFile(state.mediaFile)}): ${reason}`);
+
+    // 1. Another compatible MediaFile of the same creative
+    const nextMediaFile = state.mediaFiles[state.mediaFiles.indexOf(state.mediaFile) + 1];
+    if (nextMediaFile) {
+      this.logEvent('fallback', `Trying next MediaFile: ${this.describeMediaFile(nextMediaFile)}`);
+      state.mediaFile = nextMediaFile;
+      this.loadMediaFile(nextMediaFile);
+      if (resume) this.play();
+      return true;
     }
 
-    this.logEvent('ad-loaded', `Ad loaded: ${ad.inline.adTitle || 'Untitled'}${this.isSIMID ? ' (SIMID Interactive)' : ''}`);
+    // 2. A stand-alone ad from the buffet in place of the failed ad
+    const index = this.adQueue.indexOf(state.ad);
+    if (this.replaceWithBuffetAd(index)) {
+      if (resume) this.play();
+      return true;
+    }
 
-    // Fire impression trackers with initial context
-    const context = this.getVideoContext();
-    this.tracker.fireImpressions(this.trackingURLs.impressions, context);
+    // 3. The remaining ads of the pod
+    if (index < this.adQueue.length - 1) {
+      this.logEvent('fallback', `Ad ${state.ad.id} abandoned: no alternatives left, continuing with the next ad of the pod`);
+      if (this.playNextAd()) {
+        return true;
+      }
+    } else {
+      this.logEvent('fallback', `Ad ${state.ad.id} abandoned: no alternative MediaFile or buffet ad left, playback stopped`);
+    }
 
-    return true;
+    state.abandoned = true;
+    this.finishAdSession();
+    return false;
+  }
+
+  /**
+   * Move on once the current ad completed, was skipped or was closed
+   * @returns {boolean} true if another ad of the pod started
+   */
+  continueAdPod() {
+    if (this.adQueue.indexOf(this.adState.ad) < this.adQueue.length - 1 && this.playNextAd()) {
+      return true;
+    }
+
+    if (this.adQueue.length > 1) {
+      this.logEvent('pod', 'Ad pod completed');
+    }
+
+    this.finishAdSession();
+    return false;
+  }
+
+  /**
+   * End the ad break: hide the ad controls and fire notUsed for every ad
+   * that was not and will not be played (unused buffet ads, pod ads never reached)
+   */
+  finishAdSession() {
+    if (this.sessionFinished) return;
+    this.sessionFinished = true;
+
+    this.endViewability();
+    this.hideNonLinear();
+    this.clearIcons();
+
+    if (this.skipControl) {
+      this.skipControl.classList.add('hidden');
+    }
+    if (this.closeButton) {
+      this.closeButton.classList.add('hidden');
+    }
+
+    // A hand-picked ad says nothing about the ads the break would have played
+    const ads = this.vastData && !this.manualSelection ? this.vastData.ads : [];
+    ads.filter(ad => ad.type === 'inline' && !this.attemptedAds.has(ad)).forEach(ad => {
+      this.logEvent('not-used', `Ad ${ad.id} (${ad.inline.adTitle || 'Untitled'}) was not played`);
+
+      const trackers = ad.inline.creatives
+        .filter(c => c.type === 'linear')
+        .flatMap(c => c.data.trackingEvents);
+
+      if (trackers.some(t => t.event === 'notUsed')) {
+        const context = { ...this.getVideoContext(), adId: ad.id };
+        this.tracker.fireEventTrackers('notUsed', trackers, context);
+        this.logEvent('tracking', `Fired notUsed tracking for ad ${ad.id}`);
+      }
+    });
+  }
+
+  /**
+   * Report a failure with its IAB VAST error code and fire the Error URLs of
+   * the ad and every wrapper in its chain with [ERRORCODE] substituted
+   * @param {number} code - IAB VAST error code
+   * @param {string} message - What failed
+   * @param {Array} errorURLs - Error URLs to notify
+   * @param {string|null} adId - Ad the failure belongs to
+   */
+  async reportError(code, message, errorURLs, adId = null) {
+    this.logEvent('error', `[VAST ${code}] ${message}`);
+
+    const context = { ...this.getVideoContext(), adId: adId };
+    const fired = await this.tracker.fireErrorTrackers(errorURLs || [], code, context);
+
+    fired.forEach(url => {
+      this.logEvent('error-tracking', `Sent error code ${code} to ${url.substring(0, 100)}`);
+    });
+  }
+
+  /**
+   * Start the MediaFile load timeout (error 402)
+   */
+  startMediaTimeout() {
+    const state = this.adState;
+    this.mediaTimer = setTimeout(() => {
+      this.mediaTimer = null;
+      const seconds = this.mediaTimeoutMs / 1000;
+      this.reportError(402, `MediaFile did not load within ${seconds}s`, state.trackingURLs.errors, state.ad.id);
+      this.recoverFromError(`Timeout after ${seconds}s`);
+    }, this.mediaTimeoutMs);
+  }
+
+  /**
+   * Clear the MediaFile load timeout
+   */
+  clearMediaTimeout() {
+    if (this.mediaTimer) {
+      clearTimeout(this.mediaTimer);
+      this.mediaTimer = null;
+    }
   }
 
   /**
-   * Select best media file based on browser support
+   * Short description of a media file for the event log
+   */
+  describeMediaFile(mediaFile) {
+    const size = mediaFile.width && mediaFile.height ? ` ${mediaFile.width}x${mediaFile.height}` : '';
+    return `${mediaFile.type || 'unknown type'}${size} ${mediaFile.url.substring(0, 60)}`;
+  }
+
+  /**
+   * Select the best media file for the device profile and browser
    * @param {Array} mediaFiles - Array of media files
    * @returns {Object|null} Selected media file
    */
   selectMediaFile(mediaFiles) {
+    return this.getMediaFileCandidates(mediaFiles)[0] || null;
+  }
+
+  /**
+   * Rank the media files this browser can play, best first
+   * @param {Array} mediaFiles - Array of media files
+   * @returns {Array} Compatible media files in fallback order
+   */
+  getMediaFileCandidates(mediaFiles) {
+    const candidates = [];
+
     // Prioritize SIMID interactive creatives if present
     const simidFile = mediaFiles.find(mf => mf.isSIMID && mf.isInteractive);
     if (simidFile) {
       console.log('[VideoPlayer] SIMID interactive creative found, prioritizing');
-      return simidFile;
+      candidates.push(simidFile);
     }
 
-    // Preferred MIME types in order
-    const preferredTypes = [
-      'video/mp4',
-      'video/webm',
-      'video/ogg'
-    ];
+    // Video renditions scored for the device profile
+    candidates.push(...this.rankMediaFiles(mediaFiles).filter(r => r.eligible).map(r => r.mediaFile));
 
-    for (const type of preferredTypes) {
-      const file = mediaFiles.find(mf => mf.type === type);
-      if (file && this.video.canPlayType(type)) {
-        return file;
-      }
+    // Fallback to first available
+    if (candidates.length === 0 && mediaFiles[0]) {
+      candidates.push(mediaFiles[0]);
     }
 
-    // Fallback to first available
-    return mediaFiles[0] || null;
+    return candidates;
+  }
+
+  /**
+   * Score media files for the current device profile
+   * @param {Array} mediaFiles - Array of media files
+   * @returns {Array} Rankings, best first (see MediaSelector.rank)
+   */
+  rankMediaFiles(mediaFiles) {
+    const profile = DEVICE_PROFILES[this.deviceProfile] || DEVICE_PROFILES.desktop;
+    const ratio = window.devicePixelRatio || 1;
+    const selector = new MediaSelector(profile, {
+      canPlayType: (type) => this.video.canPlayType(type),
+      canStream: (mediaFile) => typeof StreamLoader !== 'undefined' && StreamLoader.canPlay(mediaFile, this.video),
+      playerSize: { width: this.video.clientWidth * ratio, height: this.video.clientHeight * ratio }
+    });
+
+    return selector.rank(mediaFiles);
   }
 
   /**
@@ -145,8 +1373,14 @@ class VideoPlayer {
         this.simidIframe,
         this.video,
         this.tracker,
-        this.trackingURLs
+        this.adState.trackingURLs
       );
+      this.simidBridge.onFatal = (args = {}) => {
+        const state = this.adState;
+        const detail = [args.errorCode, args.errorMessage].filter(Boolean).join(' ');
+        this.reportError(902, `SIMID creative fatal error${detail ? `: ${detail}` : ''}`, state.trackingURLs.errors, state.ad.id);
+        this.recoverFromError('SIMID creative reported a fatal error');
+      };
       console.log('[VideoPlayer] SIMID bridge created');
     } else {
       console.warn('[VideoPlayer] SIMIDBridge not available - basic iframe only');
@@ -155,7 +1389,9 @@ class VideoPlayer {
     // Add iframe error handler
     this.simidIframe.addEventListener('error', (e) => {
       console.error('[VideoPlayer] SIMID iframe error:', e);
-      this.logEvent('error', 'SIMID iframe failed to load');
+      const state = this.adState;
+      this.reportError(902, 'SIMID iframe failed to load', state.trackingURLs.errors, state.ad.id);
+      this.recoverFromError('SIMID iframe failed to load');
     }, { once: true });
 
     // Load SIMID URL in iframe
@@ -192,8 +1428,10 @@ class VideoPlayer {
     // Video events (no click - using overlay instead)
     const events = {
       'loadedmetadata': () => this.onLoadedMetadata(),
+      'canplay': () => this.onCanPlay(),
       'play': () => this.onPlay(),
       'pause': () => this.onPause(),
+      'seeking': () => this.onSeeking(),
       'ended': () => this.onEnded(),
       'error': (e) => this.onError(e),
       'timeupdate': () => this.onTimeUpdate(),
@@ -214,6 +1452,53 @@ class VideoPlayer {
       this.clickOverlay.addEventListener('click', clickHandler);
       this.overlayListeners.push({ event: 'click', handler: clickHandler });
     }
+
+    // Skip button
+    if (this.skipControl) {
+      const skipHandler = (e) => {
+        e.preventDefault();
+        this.onSkip();
+      };
+      this.skipButton = this.skipControl.querySelector('.skip-button');
+      this.skipButton.addEventListener('click', skipHandler);
+      this.skipListener = skipHandler;
+    }
+
+    // Close button
+    if (this.closeButton) {
+      const closeHandler = (e) => {
+        e.preventDefault();
+        this.onClose();
+      };
+      this.closeButton.addEventListener('click', closeHandler);
+      this.closeListener = closeHandler;
+    }
+
+    // NonLinear overlay controls
+    if (this.nonLinearOverlay) {
+      const controls = {
+        '.nonlinear-slot': () => this.onNonLinearClick(),
+        '.nonlinear-collapse': () => this.onNonLinearCollapse(),
+        '.nonlinear-close': () => this.onNonLinearClose()
+      };
+
+      for (const [selector, action] of Object.entries(controls)) {
+        const element = this.nonLinearOverlay.querySelector(selector);
+        const handler = (e) => {
+          e.preventDefault();
+          action();
+        };
+        element.addEventListener('click', handler);
+        this.nonLinearListeners.push({ element, handler });
+      }
+    }
+
+    // Fullscreen changes are reported on the document (webkit prefix for Safari)
+    const fullscreenHandler = () => this.onFullscreenChange();
+    ['fullscreenchange', 'webkitfullscreenchange'].forEach(event => {
+      document.addEventListener(event, fullscreenHandler);
+      this.documentListeners.push({ event, handler: fullscreenHandler });
+    });
   }
 
   /**
@@ -232,6 +1517,26 @@ class VideoPlayer {
       });
       this.overlayListeners = [];
     }
+
+    if (this.skipListener) {
+      this.skipButton.removeEventListener('click', this.skipListener);
+      this.skipListener = null;
+    }
+
+    if (this.closeListener) {
+      this.closeButton.removeEventListener('click', this.closeListener);
+      this.closeListener = null;
+    }
+
+    this.documentListeners.forEach(({ event, handler }) => {
+      document.removeEventListener(event, handler);
+    });
+    this.documentListeners = [];
+
+    this.nonLinearListeners.forEach(({ element, handler }) => {
+      element.removeEventListener('click', handler);
+    });
+    this.nonLinearListeners = [];
   }
 
   /**
@@ -239,7 +1544,35 @@ class VideoPlayer {
    */
 
   onLoadedMetadata() {
+    this.clearMediaTimeout();
     this.logEvent('loaded-metadata', `Duration: ${this.video.duration.toFixed(2)}s`);
+
+    if (this.adState.captions.some(c => c.status === 'ok')) {
+      this.checkCaptionSync(this.adState);
+      this.emitCaptions(this.adState);
+    }
+  }
+
+  onCanPlay() {
+    // loaded: the ad is buffered and ready to play (once per ad)
+    const state = this.adState;
+    if (state.eventsFired.loaded) return;
+
+    state.eventsFired.loaded = true;
+    this.logEvent('loaded', `MediaFile ready to play: ${this.describeMediaFile(state.mediaFile)}`);
+    this.fireTrackingEvent('loaded');
+  }
+
+  /**
+   * Fire the trackers of a tracking event for the creative in the player
+   * @param {string} event - VAST tracking event name
+   */
+  fireTrackingEvent(event) {
+    const tracking = this.adState.trackingURLs.tracking;
+    if (!tracking.some(t => t.event === event)) return;
+
+    this.tracker.fireEventTrackers(event, tracking, this.getVideoContext());
+    this.logEvent('tracking', `Fired ${event} tracking`);
   }
 
   /**
@@ -253,6 +1586,7 @@ class VideoPlayer {
     const milliseconds = Math.floor((currentTime % 1) * 1000);
 
     return {
+      adId: this.adState ? this.adState.ad.id : null,
       videoTime: `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${String(milliseconds).padStart(3, '0')}`,
       assetURI: this.video.src || '',
       playerWidth: this.video.videoWidth || this.video.clientWidth || '',
@@ -262,34 +1596,102 @@ class VideoPlayer {
   }
 
   onPlay() {
+    const state = this.adState;
+
+    // Playing after a viewer pause is a resume, not a new start
+    if (state.paused) {
+      state.paused = false;
+      this.logEvent('resume', 'Video resumed');
+      this.fireTrackingEvent('resume');
+      return;
+    }
+
+    // The content video started: show the overlay
+    if (state.nonLinear) {
+      this.logEvent('play', 'Content video started playing');
+      this.showNonLinear();
+      return;
+    }
+
     this.logEvent('play', 'Video started playing');
 
+    // creativeView: the first frame of the creative is shown
+    if (!state.eventsFired.creativeView) {
+      state.eventsFired.creativeView = true;
+      this.logEvent('creative-view', 'Creative displayed');
+      this.fireTrackingEvent('creativeView');
+    }
+
     // Fire start tracking
-    if (!this.quartilesFired.start) {
+    if (!state.quartilesFired.start) {
       const context = this.getVideoContext();
-      this.tracker.fireEventTrackers('start', this.trackingURLs.tracking, context);
-      this.quartilesFired.start = true;
+      this.tracker.fireEventTrackers('start', state.trackingURLs.tracking, context);
+      state.quartilesFired.start = true;
       this.logEvent('tracking', 'Fired start tracking');
     }
   }
 
   onPause() {
-    if (!this.video.ended) {
-      this.logEvent('pause', 'Video paused');
-      const context = this.getVideoContext();
-      this.tracker.fireEventTrackers('pause', this.trackingURLs.tracking, context);
+    // Pausing at the end, on skip or on close is not a viewer pause
+    const state = this.adState;
+    if (this.video.ended || state.stopped) return;
+
+    state.paused = true;
+    this.logEvent('pause', 'Video paused');
+    this.fireTrackingEvent('pause');
+  }
+
+  onSeeking() {
+    // rewind: the viewer moved the playhead backwards
+    const state = this.adState;
+    const from = state.lastTime;
+    state.lastTime = this.video.currentTime;
+
+    if (state.stopped || this.video.currentTime >= from) return;
+
+    this.logEvent('rewind', `Rewound from ${from.toFixed(2)}s to ${this.video.currentTime.toFixed(2)}s`);
+    this.fireTrackingEvent('rewind');
+  }
+
+  onFullscreenChange() {
+    const element = document.fullscreenElement || document.webkitFullscreenElement || null;
+    const fullscreen = !!element && (element === this.video || element.contains(this.video));
+    if (fullscreen === this.isFullscreen || !this.adState) return;
+
+    this.isFullscreen = fullscreen;
+
+    // fullscreen/exitFullscreen (VAST 2-3, 4.1+) and playerExpand/playerCollapse (VAST 4)
+    if (fullscreen) {
+      this.logEvent('fullscreen', 'Player entered fullscreen');
+      this.fireTrackingEvent('fullscreen');
+      this.fireTrackingEvent('playerExpand');
+    } else {
+      this.logEvent('exit-fullscreen', 'Player exited fullscreen');
+      this.fireTrackingEvent('exitFullscreen');
+      this.fireTrackingEvent('playerCollapse');
     }
   }
 
   onEnded() {
+    const state = this.adState;
+
+    if (state.nonLinear) {
+      this.logEvent('ended', 'Content video completed');
+      this.hideNonLinear('content ended');
+      this.continueAdPod();
+      return;
+    }
+
     this.logEvent('ended', 'Video completed');
 
-    if (!this.quartilesFired.complete) {
+    if (!state.quartilesFired.complete) {
       const context = this.getVideoContext();
-      this.tracker.fireEventTrackers('complete', this.trackingURLs.tracking, context);
-      this.quartilesFired.complete = true;
+      this.tracker.fireEventTrackers('complete', state.trackingURLs.tracking, context);
+      state.quartilesFired.complete = true;
       this.logEvent('tracking', 'Fired complete tracking');
     }
+
+    this.continueAdPod();
   }
 
   onError(e) {
@@ -313,47 +1715,204 @@ class VideoPlayer {
       }
     }
 
-    this.logEvent('error', message);
+    this.clearMediaTimeout();
 
-    // Fire error trackers
-    if (this.trackingURLs.errors.length > 0) {
-      this.trackingURLs.errors.forEach(url => {
-        this.tracker.fireTracker(url, 'error');
-      });
+    // A content failure is not an ad error
+    const state = this.adState;
+    if (state.mediaFile.isContent) {
+      this.logEvent('error', `Content video failed: ${message}`);
+      return;
     }
+
+    // Map the failure to its VAST error code and fire the error trackers
+    const code = state.mediaFile.isVPAID ? 901 : VASTError.fromMediaError(error);
+    this.reportError(code, message, state.trackingURLs.errors, state.ad.id);
+
+    // Fall back to another MediaFile or buffet ad
+    this.recoverFromError(message);
   }
 
   onTimeUpdate() {
     if (!this.video.duration) return;
 
+    const state = this.adState;
+
+    // Quartiles stop progressing once the ad was skipped or closed
+    if (state.stopped) return;
+
+    // Overlays follow the content time, not quartiles
+    if (state.nonLinear) {
+      this.updateNonLinear();
+      return;
+    }
+
+    this.updateIcons();
+
+    if (!this.video.seeking) {
+      state.lastTime = this.video.currentTime;
+    }
+
+    this.updateSkipControl();
+
     const progress = this.video.currentTime / this.video.duration;
     const context = this.getVideoContext();
 
+    // Fire offset-based progress events
+    this.fireProgressTrackers(context);
+    const tracking = state.trackingURLs.tracking;
+    const quartilesFired = state.quartilesFired;
+
     // Fire quartile events
-    if (progress >= 0.25 && !this.quartilesFired.firstQuartile) {
-      this.tracker.fireEventTrackers('firstQuartile', this.trackingURLs.tracking, context);
-      this.quartilesFired.firstQuartile = true;
+    if (progress >= 0.25 && !quartilesFired.firstQuartile) {
+      this.tracker.fireEventTrackers('firstQuartile', tracking, context);
+      quartilesFired.firstQuartile = true;
       this.logEvent('tracking', 'Fired first quartile tracking (25%)');
-    } else if (progress >= 0.5 && !this.quartilesFired.midpoint) {
-      this.tracker.fireEventTrackers('midpoint', this.trackingURLs.tracking, context);
-      this.quartilesFired.midpoint = true;
+    } else if (progress >= 0.5 && !quartilesFired.midpoint) {
+      this.tracker.fireEventTrackers('midpoint', tracking, context);
+      quartilesFired.midpoint = true;
       this.logEvent('tracking', 'Fired midpoint tracking (50%)');
-    } else if (progress >= 0.75 && !this.quartilesFired.thirdQuartile) {
-      this.tracker.fireEventTrackers('thirdQuartile', this.trackingURLs.tracking, context);
-      this.quartilesFired.thirdQuartile = true;
+    } else if (progress >= 0.75 && !quartilesFired.thirdQuartile) {
+      this.tracker.fireEventTrackers('thirdQuartile', tracking, context);
+      quartilesFired.thirdQuartile = true;
       this.logEvent('tracking', 'Fired third quartile tracking (75%)');
     }
   }
 
   onVolumeChange() {
-    const context = this.getVideoContext();
-    if (this.video.muted) {
+    // Only audible/inaudible transitions are mute/unmute, not volume slider moves
+    const state = this.adState;
+    const muted = this.video.muted || this.video.volume === 0;
+    if (muted === state.muted) return;
+
+    state.muted = muted;
+    if (muted) {
       this.logEvent('mute', 'Video muted');
-      this.tracker.fireEventTrackers('mute', this.trackingURLs.tracking, context);
+      this.fireTrackingEvent('mute');
     } else {
-      this.logEvent('unmute', `Volume: ${Math.round(this.video.volume * 100)}%`);
-      this.tracker.fireEventTrackers('unmute', this.trackingURLs.tracking, context);
+      this.logEvent('unmute', `Video unmuted (volume ${Math.round(this.video.volume * 100)}%)`);
+      this.fireTrackingEvent('unmute');
+    }
+  }
+
+  /**
+   * Fire each progress tracker exactly once when playback crosses its offset
+   * @param {Object} context - Context for macro replacement
+   */
+  fireProgressTrackers(context) {
+    this.adState.trackingURLs.tracking.forEach(tracker => {
+      if (tracker.event !== 'progress' || tracker.fired) return;
+
+      const fireAt = this.resolveOffset(tracker.offset, this.video.duration);
+      if (fireAt === null || this.video.currentTime < fireAt) return;
+
+      tracker.fired = true;
+      this.tracker.fireProgressTracker(tracker, context);
+      this.logEvent('tracking', `Fired progress tracking (offset ${tracker.offset} = ${fireAt.toFixed(2)}s)`);
+    });
+  }
+
+  /**
+   * Resolve a VAST time offset (HH:MM:SS(.mmm) or percentage) to seconds
+   * @param {string} offset - Offset as declared in the VAST
+   * @param {number} duration - Ad duration in seconds (needed for percentages)
+   * @returns {number|null} Offset in seconds, or null if it cannot be resolved
+   */
+  resolveOffset(offset, duration) {
+    if (!offset) return null;
+
+    const value = offset.trim();
+    if (value.endsWith('%')) {
+      const percent = parseFloat(value);
+      return isNaN(percent) || !duration ? null : duration * percent / 100;
+    }
+
+    const match = value.match(/^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/);
+    if (!match) return null;
+
+    return parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseFloat(match[3]);
+  }
+
+  /**
+   * Show or hide the skip control for the current ad
+   */
+  resetSkipControl() {
+    if (!this.skipControl) return;
+
+    const skippable = !this.isSIMID && this.adState && this.adState.skip.offset;
+    this.skipControl.classList.toggle('hidden', !skippable);
+    this.skipControl.querySelector('.skip-countdown').textContent = '';
+    this.skipControl.querySelector('.skip-button').disabled = true;
+  }
+
+  /**
+   * Update the skip countdown and enable the Skip button once skipoffset is reached
+   */
+  updateSkipControl() {
+    const skip = this.adState.skip;
+    if (!skip.offset || !this.skipControl || this.isSIMID) return;
+
+    const skipAt = this.resolveOffset(skip.offset, this.video.duration);
+    if (skipAt === null) return;
+
+    const remaining = skipAt - this.video.currentTime;
+    const countdown = this.skipControl.querySelector('.skip-countdown');
+    const button = this.skipControl.querySelector('.skip-button');
+
+    if (remaining > 0) {
+      countdown.textContent = `Skip in ${Math.ceil(remaining)}s`;
+      button.disabled = true;
+      return;
+    }
+
+    countdown.textContent = '';
+    button.disabled = false;
+
+    if (skip.availableAt === null) {
+      skip.availableAt = this.video.currentTime;
+      this.logEvent('skip-available', `Skip available at ${skip.availableAt.toFixed(2)}s (skipoffset ${skip.offset} = ${skipAt.toFixed(2)}s)`);
+    }
+  }
+
+  /**
+   * Skip the current ad: fire skip (and closeLinear) tracking and move on
+   */
+  onSkip() {
+    const state = this.adState;
+    if (!state || state.stopped || state.skip.availableAt === null) return;
+
+    state.skip.skipped = true;
+    state.stopped = true;
+    this.video.pause();
+    this.skipControl.classList.add('hidden');
+
+    const context = this.getVideoContext();
+    const tracking = state.trackingURLs.tracking;
+    this.logEvent('skip', `Ad skipped at ${this.video.currentTime.toFixed(2)}s`);
+    this.tracker.fireEventTrackers('skip', tracking, context);
+    this.logEvent('tracking', 'Fired skip tracking');
+
+    if (tracking.some(t => t.event === 'closeLinear')) {
+      this.tracker.fireEventTrackers('closeLinear', tracking, context);
+      this.logEvent('tracking', 'Fired closeLinear tracking');
     }
+
+    this.continueAdPod();
+  }
+
+  /**
+   * Close the current ad: fire closeLinear tracking and move on
+   */
+  onClose() {
+    const state = this.adState;
+    if (!state || state.stopped) return;
+
+    state.stopped = true;
+    this.video.pause();
+
+    this.logEvent('close', `Ad closed at ${this.video.currentTime.toFixed(2)}s`);
+    this.fireTrackingEvent('closeLinear');
+
+    this.continueAdPod();
   }
 
   onClick() {
@@ -361,15 +1920,12 @@ class VideoPlayer {
 
     // Fire click trackers with context
     const context = this.getVideoContext();
-    this.tracker.fireClicks(this.trackingURLs.clicks, context);
-
-    // Open click-through URL
-    const ad = this.vastData.ads.find(a => a.type === 'inline');
-    if (ad) {
-      const creative = ad.inline.creatives.find(c => c.type === 'linear');
-      if (creative && creative.data.videoClicks.clickThrough) {
-        window.open(creative.data.videoClicks.clickThrough, '_blank');
-      }
+    this.tracker.fireClicks(this.adState.trackingURLs.clicks, context);
+
+    // Open click-through URL of the ad currently playing
+    const clickThrough = this.adState.creative.data.videoClicks.clickThrough;
+    if (clickThrough) {
+      window.open(clickThrough, '_blank');
     }
   }
 
@@ -429,7 +1985,12 @@ class VideoPlayer {
    * Reset player
    */
   reset() {
+    // Ads of an unfinished break will not be played anymore
+    this.finishAdSession();
+
+    this.clearMediaTimeout();
     this.pause();
+    this.destroyStreamLoader();
     this.video.src = '';
     this.removeEventListeners();
 
@@ -453,16 +2014,23 @@ class VideoPlayer {
       this.clickOverlay.classList.add('disabled');
     }
 
+    // Hide skip control
+    if (this.skipControl) {
+      this.skipControl.classList.add('hidden');
+    }
+
+    this.clearCompanions();
+    this.clearCaptions();
+
     this.isSIMID = false;
     this.vastData = null;
     this.trackingURLs = null;
-    this.quartilesFired = {
-      start: false,
-      firstQuartile: false,
-      midpoint: false,
-      thirdQuartile: false,
-      complete: false
-    };
+    this.adQueue = [];
+    this.buffet = [];
+    this.adStates = [];
+    this.adState = null;
+    this.attemptedAds = new Set();
+    this.isFullscreen = false;
   }
 
   /**
@@ -0,0 +1,150 @@
+/**
+ * Viewability Monitor - Measures how much of the player is in view and for
+ * how long the ad plays continuously in view, against the MRC video
+ * viewability standard (50% of pixels in view for 2 continuous seconds)
+ *
+ * Reference: MRC Viewable Ad Impression Measurement Guidelines
+ */
+
+class ViewabilityMonitor {
+  /**
+   * @param {Element} element - Element the ad is rendered in
+   * @param {Object} options - { minVisibleRatio, minContinuousMs, isPlaying }
+   */
+  constructor(element, options = {}) {
+    this.element = element;
+    this.minVisibleRatio = options.minVisibleRatio || 0.5;
+    this.minContinuousMs = options.minContinuousMs || 2000;
+    this.isPlaying = options.isPlaying || (() => false); // Playback state is owned by the player
+    this.observer = null;
+    this.timer = null;
+    this.lastTick = null;
+    this.visibleRatio = 0;
+    this.state = this.createState('idle');
+
+    this.onChange = null; // Called with the state on every measurement update
+    this.onViewable = null; // Called once when the standard is met
+
+    this.boundVisibilityHandler = () => this.tick();
+  }
+
+  /**
+   * Whether the browser can measure viewability
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof IntersectionObserver !== 'undefined';
+  }
+
+  /**
+   * Create a measurement state
+   * @param {string} status - idle, measuring, viewable or undetermined
+   */
+  createState(status) {
+    return {
+      status,
+      inViewPercent: 0,
+      continuousMs: 0, // Current run of in-view playback
+      maxContinuousMs: 0, // Longest run so far
+      playing: false,
+      pageVisible: true,
+      minVisiblePercent: Math.round(this.minVisibleRatio * 100),
+      minContinuousMs: this.minContinuousMs
+    };
+  }
+
+  /**
+   * Start a new measurement (one per ad)
+   * @returns {Object} Measurement state
+   */
+  start() {
+    this.stop();
+
+    if (!ViewabilityMonitor.isSupported() || !this.element) {
+      this.state = this.createState('undetermined');
+      this.emitChange();
+      return this.state;
+    }
+
+    this.state = this.createState('measuring');
+    this.visibleRatio = 0;
+    this.lastTick = performance.now();
+
+    // Thresholds every 5% so the meter follows scrolling closely
+    const thresholds = Array.from({ length: 21 }, (_, i) => i / 20);
+    this.observer = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        this.visibleRatio = entry.intersectionRatio;
+      });
+      this.tick();
+    }, { threshold: thresholds });
+    this.observer.observe(this.element);
+
+    document.addEventListener('visibilitychange', this.boundVisibilityHandler);
+    this.timer = setInterval(() => this.tick(), 100);
+
+    return this.state;
+  }
+
+  /**
+   * Accumulate continuous in-view play time and check the standard
+   */
+  tick() {
+    if (this.state.status !== 'measuring' && this.state.status !== 'viewable') return;
+
+    const now = performance.now();
+    const elapsed = now - this.lastTick;
+    this.lastTick = now;
+
+    const state = this.state;
+    state.playing = this.isPlaying();
+    state.pageVisible = document.visibilityState !== 'hidden';
+    state.inViewPercent = state.pageVisible ? Math.round(this.visibleRatio * 100) : 0;
+
+    const inView = state.pageVisible && this.visibleRatio >= this.minVisibleRatio;
+    state.continuousMs = inView && state.playing ? state.continuousMs + elapsed : 0;
+    state.maxContinuousMs = Math.max(state.maxContinuousMs, state.continuousMs);
+
+    if (state.status === 'measuring' && state.continuousMs >= this.minContinuousMs) {
+      state.status = 'viewable';
+      if (this.onViewable) {
+        this.onViewable(state);
+      }
+    }
+
+    this.emitChange();
+  }
+
+  /**
+   * Stop measuring
+   * @returns {Object} Final measurement state
+   */
+  stop() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    document.removeEventListener('visibilitychange', this.boundVisibilityHandler);
+    return this.state;
+  }
+
+  /**
+   * Report the current measurement to the onChange callback
+   */
+  emitChange() {
+    if (this.onChange) {
+      this.onChange(this.state);
+    }
+  }
+}
+
+// Export for use in video player
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ViewabilityMonitor;
+}